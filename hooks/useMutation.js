@@ -0,0 +1,168 @@
+/**
+ * Use Mutation
+ *
+ * Hook for creating, updating, or deleting data on a rest service and keeping
+ * track of the loading and error state
+ *
+ * @author Chris Nasr <chris@ouroboroscoding.com>
+ * @copyright Ouroboros Coding Inc.
+ * @created 2026-10-19
+ */
+
+// NPM Imports
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Local imports
+import rest from '../rest.js';
+
+// Valid actions
+const ACTIONS = ['create', 'delete', 'update'];
+
+/**
+ * Use Mutation
+ *
+ * Returns a mutate function that sends the data to the service/noun, only the
+ * response to the most recent call is stored, and nothing is stored once the
+ * component unmounts
+ *
+ * @name useMutation
+ * @access public
+ * @param {string} action One of 'create', 'delete', or 'update'
+ * @param {string} service The name of the service to send to
+ * @param {string} noun The noun to send to
+ * @param {Object} options Optional settings, any not listed are passed to
+ * 		the request as its opts
+ * 		client: the rest client to use, defaults to the default one
+ * 		handled: true to mark all errors as handled, by default only field
+ * 			errors are
+ * @returns {{data, error, fields, loading, mutate, reset}}
+ */
+export default function useMutation(action, service, noun, options={}) {
+
+	// Make sure the action is valid
+	if(!ACTIONS.includes(action)) {
+		throw new Error(`useMutation action must be one of ${ACTIONS.join(', ')}`);
+	}
+
+	// Pull out the hook options from the request ones
+	let { client, handled, ...opts } = options;
+	if(!client) {
+		client = rest;
+	}
+
+	// State
+	let [result, resultSet] = useState({
+		data: null,
+		error: null,
+		fields: null,
+		loading: false
+	});
+
+	// Refs
+	let count = useRef(0);
+	let latest = useRef({});
+	let mounted = useRef(true);
+
+	// Store the latest arguments so mutate always uses them
+	latest.current = { action, client, handled, noun, opts, service };
+
+	// Mounted effect
+	useEffect(() => {
+		mounted.current = true;
+		return () => {
+			mounted.current = false;
+		}
+	}, []);
+
+	// Called to send the data
+	let mutate = useCallback((data, callOpts={}) => {
+
+		// Get a number for this call so we know if it's the most recent
+		let iCall = ++count.current;
+
+		// Mark us as loading
+		resultSet(o => ({ ...o, loading: true }));
+
+		// Pull out the latest arguments
+		let l = latest.current;
+
+		// Called to check if the response is still wanted
+		let fCurrent = () => mounted.current && count.current === iCall;
+
+		// Send the request
+		return l.client[l.action](l.service, l.noun, data, {
+			...l.opts,
+			...callOpts
+		}).then(res => {
+
+			// If the response is stale, ignore it
+			if(!fCurrent()) {
+				return res;
+			}
+
+			// If we got an error, store it
+			if(res.error) {
+				let oFields = Array.isArray(res.error.msg) ?
+								l.client.errorTree(res.error.msg, l.service) :
+								null;
+				if(oFields || l.handled) {
+					res._handled = true;
+				}
+				resultSet({
+					data: null,
+					error: res.error,
+					fields: oFields,
+					loading: false
+				});
+			}
+
+			// Else, store the data
+			else {
+				resultSet({
+					data: res.data,
+					error: null,
+					fields: null,
+					loading: false
+				});
+			}
+
+			// Return the result
+			return res;
+
+		}, res => {
+
+			// If the response is stale, ignore it
+			if(!fCurrent()) {
+				return res;
+			}
+
+			// Store the error
+			if(l.handled) {
+				res._handled = true;
+			}
+			resultSet({
+				data: null,
+				error: res.error,
+				fields: null,
+				loading: false
+			});
+
+			// Return the result
+			return res;
+		});
+	}, []);
+
+	// Called to clear the data and error, and ignore any call in progress
+	let reset = useCallback(() => {
+		++count.current;
+		resultSet({
+			data: null,
+			error: null,
+			fields: null,
+			loading: false
+		});
+	}, []);
+
+	// Return the state and the functions
+	return { ...result, mutate, reset };
+}
@@ -0,0 +1,128 @@
+/**
+ * Use Paginated
+ *
+ * Hook for reading a paginated list from a rest service, made to be used
+ * with the onEndReached and onRefresh props of a FlatList
+ *
+ * @author Chris Nasr <chris@ouroboroscoding.com>
+ * @copyright Ouroboros Coding Inc.
+ * @created 2026-10-19
+ */
+
+// NPM Imports
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Local imports
+import rest from '../rest.js';
+import { ERROR_ABORTED } from '../restclient.js';
+
+/**
+ * Use Paginated
+ *
+ * Reads the first page of the service/noun whenever the arguments change, and
+ * the next page every time loadMore is called, merging all the items
+ *
+ * @name usePaginated
+ * @access public
+ * @param {string} service The name of the service to read from
+ * @param {string} noun The noun to read
+ * @param {Object} data The data to send with every page
+ * @param {Object} options Optional settings, any not listed are passed to
+ * 		the pager, see RestPager
+ * 		client: the rest client to use, defaults to the default one
+ * 		handled: true to mark all errors as handled
+ * 		skip: true to not read, e.g. until some other data is ready
+ * @returns {{error, items, loading, loadMore, more, refresh, refreshing, total}}
+ */
+export default function usePaginated(service, noun, data={}, options={}) {
+
+	// Pull out the hook options from the pager ones
+	let { client, handled, skip, ...opts } = options;
+	if(!client) {
+		client = rest;
+	}
+
+	// State
+	let [result, resultSet] = useState({
+		error: null,
+		items: [],
+		loading: !skip,
+		more: !skip,
+		refreshing: false,
+		total: null
+	});
+
+	// Refs
+	let latest = useRef({});
+	let pager = useRef(null);
+
+	// Store the latest options so new pagers always use them
+	latest.current = { handled, opts };
+
+	// Key for the data so a new object with the same values doesn't trigger
+	//	a new read
+	let dataKey = JSON.stringify(data);
+
+	// Called to handle the result of a page
+	let fResult = useCallback(res => {
+		if(res && res.error && latest.current.handled) {
+			res._handled = true;
+		}
+		return res;
+	}, []);
+
+	// Called to handle a page that never reached the service
+	let fFailed = useCallback(res => {
+		if(res && res.error && res.error.code !== ERROR_ABORTED) {
+			return fResult(res);
+		}
+		return res;
+	}, []);
+
+	// Arguments effect
+	useEffect(() => {
+
+		// If we're skipping, make sure we aren't loading
+		if(skip) {
+			resultSet(o => ({ ...o, loading: false, more: false }));
+			return;
+		}
+
+		// Create a new pager and track its state
+		let oPager = client.paginate(service, noun, data, latest.current.opts);
+		pager.current = oPager;
+		let fUnsubscribe = oPager.subscribe(resultSet);
+
+		// Read the first page
+		oPager.next().then(fResult, fFailed);
+
+		// On change or unmount, cancel the read and stop listening
+		return () => {
+			fUnsubscribe();
+			oPager.reset();
+			if(pager.current === oPager) {
+				pager.current = null;
+			}
+		}
+	}, [client, service, noun, dataKey, skip]);
+
+	// Called to read the next page. Does nothing after an error so a list
+	//	stuck at its end doesn't keep asking, call refresh to try again
+	let loadMore = useCallback(() => {
+		if(!pager.current || !pager.current.more || pager.current.error) {
+			return Promise.resolve(null);
+		}
+		return pager.current.next().then(fResult, fFailed);
+	}, []);
+
+	// Called to start over from the first page
+	let refresh = useCallback(() => {
+		if(!pager.current) {
+			return Promise.resolve(null);
+		}
+		return pager.current.refresh().then(fResult, fFailed);
+	}, []);
+
+	// Return the state and the functions
+	return { ...result, loadMore, refresh };
+}
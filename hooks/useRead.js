@@ -0,0 +1,196 @@
+/**
+ * Use Read
+ *
+ * Hook for reading data from a rest service and keeping track of the loading
+ * and error state
+ *
+ * @author Chris Nasr <chris@ouroboroscoding.com>
+ * @copyright Ouroboros Coding Inc.
+ * @created 2026-10-19
+ */
+
+// NPM Imports
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Local imports
+import rest from '../rest.js';
+import { ERROR_ABORTED } from '../restclient.js';
+
+/**
+ * Use Read
+ *
+ * Reads the service/noun whenever the arguments change, ignoring any
+ * responses to previous arguments, and stops caring about the response once
+ * the component unmounts
+ *
+ * @name useRead
+ * @access public
+ * @param {string} service The name of the service to read from
+ * @param {string} noun The noun to read
+ * @param {Object} data The data to send with the read
+ * @param {Object} options Optional settings, any not listed are passed to
+ * 		the read as its opts
+ * 		client: the rest client to use, defaults to the default one
+ * 		handled: true to mark all errors as handled, by default only field
+ * 			errors are
+ * 		skip: true to not read, e.g. until some other data is ready
+ * @returns {{data, error, fields, loading, refetch, reset}}
+ */
+export default function useRead(service, noun, data={}, options={}) {
+
+	// Pull out the hook options from the request ones
+	let { client, handled, skip, ...opts } = options;
+	if(!client) {
+		client = rest;
+	}
+
+	// State
+	let [result, resultSet] = useState({
+		data: null,
+		error: null,
+		fields: null,
+		loading: !skip
+	});
+
+	// Refs
+	let controller = useRef(null);
+	let latest = useRef({});
+	let mounted = useRef(true);
+
+	// Store the latest arguments so refetch always uses them
+	latest.current = { client, data, handled, noun, opts, service };
+
+	// Key for the data so a new object with the same values doesn't trigger
+	//	a new read
+	let dataKey = JSON.stringify(data);
+
+	// Called to make the read
+	let refetch = useCallback(() => {
+
+		// Cancel any read still in progress
+		if(controller.current) {
+			controller.current.abort();
+		}
+
+		// Create a new controller for this read
+		let oController = new AbortController();
+		controller.current = oController;
+
+		// Mark us as loading
+		resultSet(o => ({ ...o, loading: true }));
+
+		// Pull out the latest arguments
+		let l = latest.current;
+
+		// Called to check if the response is still wanted
+		let fCurrent = () => mounted.current &&
+							controller.current === oController;
+
+		// Make the read
+		return l.client.read(l.service, l.noun, l.data, {
+			...l.opts,
+			signal: oController.signal
+		}).then(res => {
+
+			// If the response is stale, ignore it
+			if(!fCurrent()) {
+				return res;
+			}
+			controller.current = null;
+
+			// If we got an error, store it
+			if(res.error) {
+				let oFields = Array.isArray(res.error.msg) ?
+								l.client.errorTree(res.error.msg, l.service) :
+								null;
+				if(oFields || l.handled) {
+					res._handled = true;
+				}
+				resultSet({
+					data: null,
+					error: res.error,
+					fields: oFields,
+					loading: false
+				});
+			}
+
+			// Else, store the data
+			else {
+				resultSet({
+					data: res.data,
+					error: null,
+					fields: null,
+					loading: false
+				});
+			}
+
+			// Return the result
+			return res;
+
+		}, res => {
+
+			// If the response is stale, or we cancelled it, ignore it
+			if(!fCurrent() ||
+				(res.error && res.error.code === ERROR_ABORTED)) {
+				return res;
+			}
+			controller.current = null;
+
+			// Store the error
+			if(l.handled) {
+				res._handled = true;
+			}
+			resultSet({
+				data: null,
+				error: res.error,
+				fields: null,
+				loading: false
+			});
+
+			// Return the result
+			return res;
+		});
+	}, []);
+
+	// Arguments effect
+	useEffect(() => {
+
+		// If we're skipping, make sure we aren't loading
+		if(skip) {
+			resultSet(o => ({ ...o, loading: false }));
+			return;
+		}
+
+		// Read the data
+		refetch();
+
+		// On change or unmount, cancel the read
+		return () => {
+			if(controller.current) {
+				controller.current.abort();
+				controller.current = null;
+			}
+		}
+	}, [client, service, noun, dataKey, skip]);
+
+	// Mounted effect
+	useEffect(() => {
+		mounted.current = true;
+		return () => {
+			mounted.current = false;
+		}
+	}, []);
+
+	// Called to clear the data and error
+	let reset = useCallback(() => {
+		resultSet({
+			data: null,
+			error: null,
+			fields: null,
+			loading: false
+		});
+	}, []);
+
+	// Return the state and the functions
+	return { ...result, refetch, reset };
+}
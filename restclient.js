@@ -0,0 +1,3682 @@
+/**
+ * Rest Client
+ *
+ * Handles connecting to and retrieving data from rest services through a
+ * transport. Nothing in here depends on React Native, so it can be used, and
+ * tested, in plain Node. See rest.js for the default, React Native, client
+ *
+ * @author Chris Nasr <chris@ouroboroscoding.com>
+ * @copyright Ouroboros Coding Inc.
+ * @created 2022-09-07
+ */
+
+// NPM imports
+import { clone, empty } from '@ouroboros/tools';
+
+// Local imports
+import RestPager from './restpager.js';
+
+// Error codes
+export const ERROR_NOT_OK = -1;
+export const ERROR_OFFLINE = -2;
+export const ERROR_QUEUED = -3;
+export const ERROR_ABORTED = -4;
+export const ERROR_TIMEOUT = -5;
+export const ERROR_UNMATCHED = -6;
+
+// The HTTP methods for the actions that change data
+const METHODS = {
+	create: 'POST',
+	delete: 'DELETE',
+	update: 'PUT'
+};
+
+// Request priorities
+const PRIORITIES = {
+	high: 2,
+	normal: 1,
+	low: 0
+};
+
+/**
+ * Rest Error
+ *
+ * The error returned for any failed request, whether it failed locally, at
+ * the HTTP level, or the service itself returned an error. Works with
+ * errorMessage like the plain {code, msg} objects returned by services
+ *
+ * @name RestError
+ * @access public
+ */
+export class RestError extends Error {
+
+	/**
+	 * Constructor
+	 *
+	 * Creates a new instance
+	 *
+	 * @name RestError
+	 * @access public
+	 * @param int code				The error code, one of the ERROR_ constants, or
+	 *								the code returned by the service
+	 * @param mixed msg				Optional, the message, or data, returned
+	 *								with the code
+	 * @param Object info			Optional, details about the request, any of
+	 *								status, method, service, noun, url, and cause
+	 * @return RestError
+	 */
+	constructor(code, msg=null, info={}) {
+
+		// Call the Error constructor
+		super(typeof msg === 'string' ? msg : 'Rest error ' + code);
+
+		// Store the code, and the message if there is one
+		this.name = 'RestError';
+		this.code = code;
+		if(msg !== null && msg !== undefined) {
+			this.msg = msg;
+		}
+
+		// Store the request details
+		this.status = info.status || null;
+		this.method = info.method || null;
+		this.service = info.service || null;
+		this.noun = info.noun || null;
+		this.url = info.url || null;
+		if(info.cause) {
+			this.cause = info.cause;
+		}
+	}
+}
+
+/**
+ * Body Size
+ *
+ * Returns the size of a request or response body, or null if it can't be
+ * known without reading it, e.g. form data
+ *
+ * @name bodySize
+ * @access private
+ * @param mixed body			The body
+ * @return uint|null
+ */
+function bodySize(body) {
+	if(body === null || typeof body === 'undefined') {
+		return 0;
+	}
+	if(typeof body === 'string') {
+		return body.length;
+	}
+	if(typeof body.size === 'number') {
+		return body.size;
+	}
+	if(typeof body.byteLength === 'number') {
+		return body.byteLength;
+	}
+	return null;
+}
+
+/**
+ * Cache Key
+ *
+ * Generates the unique key for a read request
+ *
+ * @name cacheKey
+ * @access private
+ * @param string service		The name of the service
+ * @param string noun			The noun on the service
+ * @param object data			The data sent to the service
+ * @return string
+ */
+function cacheKey(service, noun, data) {
+	return service + '/' + noun + '?' + JSON.stringify(data);
+}
+
+/**
+ * Fetch Retry
+ *
+ * Calls fetch, and if it fails in a way the retry policy allows, waits and
+ * calls it again until it succeeds or we run out of attempts
+ *
+ * @name fetchRetry
+ * @access private
+ * @param function fetcher		Called with the url and opts to fetch
+ * @param string url			The full URL to fetch
+ * @param object opts			The options passed to fetch
+ * @param object policy			The retry policy, see retryPolicy
+ * @param uint attempt			The current attempt, starting at 1
+ * @return Promise
+ */
+function fetchRetry(fetcher, url, opts, policy, attempt=1) {
+
+	// Call fetch
+	return fetcher(url, opts).then(response => {
+
+		// If the response failed with a status we can retry on, and we have
+		//	attempts left, wait and try again
+		if(!response.ok &&
+			attempt < policy.attempts &&
+			policy.statuses.includes(response.status)) {
+
+			// If the service told us how long to wait, respect it, allowing for
+			//	transports that don't return headers
+			let iAfter = parseInt(
+				response.headers ? response.headers.get('Retry-After') : null, 10
+			);
+
+			return retryWait(policy, attempt, iAfter, opts.signal).then(() =>
+				fetchRetry(fetcher, url, opts, policy, attempt + 1)
+			);
+		}
+
+		// Return the response as is
+		return response;
+
+	}, error => {
+
+		// If we can retry on network errors, we have attempts left, and the
+		//	request wasn't cancelled, wait and try again
+		if(policy.network &&
+			attempt < policy.attempts &&
+			!(opts.signal && opts.signal.aborted)) {
+			return retryWait(policy, attempt, NaN, opts.signal).then(() =>
+				fetchRetry(fetcher, url, opts, policy, attempt + 1)
+			);
+		}
+
+		// Pass the error along
+		return Promise.reject(error);
+	});
+}
+
+/**
+ * Fill
+ *
+ * Replaces the {placeholders} in the template with the values. Placeholders
+ * can use dots to reach into objects and arrays, e.g. {msg.0}. Any that
+ * can't be found are left as is
+ *
+ * @name fill
+ * @access private
+ * @param string template		The template to fill
+ * @param Object values			The values to fill it with
+ * @return string
+ */
+function fill(template, values) {
+	return template.replace(/\{([\w.]+)\}/g, (sMatch, sPath) => {
+		let mValue = values;
+		for(let k of sPath.split('.')) {
+			if(mValue === null || typeof mValue !== 'object' || !(k in mValue)) {
+				return sMatch;
+			}
+			mValue = mValue[k];
+		}
+		return (mValue !== null && typeof mValue === 'object') ?
+				JSON.stringify(mValue) : String(mValue);
+	});
+}
+
+/**
+ * Form Data
+ *
+ * Returns the fields as multipart form data. Arrays add the field once for
+ * each value, and files can be any value FormData accepts, e.g. a Blob, or
+ * on React Native an object with uri, name, and type
+ *
+ * @name formData
+ * @access private
+ * @param Object fields			The fields, or an existing FormData
+ * @return FormData
+ */
+function formData(fields) {
+
+	// If it's already form data, there's nothing to do
+	if(fields instanceof FormData) {
+		return fields;
+	}
+
+	// Add each field
+	let oForm = new FormData();
+	for(let k in fields) {
+		for(let m of (Array.isArray(fields[k]) ? fields[k] : [fields[k]])) {
+			oForm.append(k, m);
+		}
+	}
+
+	// Return the form
+	return oForm;
+}
+
+/**
+ * Hash
+ *
+ * Returns a short, non cryptographic, hash of the value, used to tell whose
+ * session something was stored with without storing the session itself.
+ * Returns null for null
+ *
+ * @name hash
+ * @access private
+ * @param string value			The value to hash
+ * @return string|null
+ */
+function hash(value) {
+
+	// If there's nothing to hash
+	if(value === null || typeof value === 'undefined') {
+		return null;
+	}
+
+	// Mix each character into two 32 bit hashes
+	let s = String(value);
+	let h1 = 0xdeadbeef;
+	let h2 = 0x41c6ce57;
+	for(let i = 0; i < s.length; ++i) {
+		let c = s.charCodeAt(i);
+		h1 = Math.imul(h1 ^ c, 2654435761);
+		h2 = Math.imul(h2 ^ c, 1597334677);
+	}
+	h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^
+			Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+	h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^
+			Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+	// Combine them into one 53 bit value
+	return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+/**
+ * Is Binary
+ *
+ * Returns true if the value should be sent as the raw body of an upload
+ * instead of as form data
+ *
+ * @name isBinary
+ * @access private
+ * @param mixed value			The value to check
+ * @return bool
+ */
+function isBinary(value) {
+	return typeof value === 'string' ||
+		(typeof Blob !== 'undefined' && value instanceof Blob) ||
+		value instanceof ArrayBuffer ||
+		ArrayBuffer.isView(value);
+}
+
+/**
+ * Redact
+ *
+ * Returns a copy of the headers with the values of any sensitive ones
+ * replaced
+ *
+ * @name redact
+ * @access private
+ * @param Object headers		The headers to copy
+ * @param string[] names		The names of the headers to redact
+ * @return Object
+ */
+function redact(headers, names) {
+	let lNames = names.map(s => s.toLowerCase());
+	let oRet = {};
+	for(let k in headers) {
+		oRet[k] = lNames.includes(k.toLowerCase()) ? '[redacted]' : headers[k];
+	}
+	return oRet;
+}
+
+/**
+ * Request URL
+ *
+ * Returns the full URL for the request, including the data in the query
+ * string for GET requests
+ *
+ * @name requestUrl
+ * @access private
+ * @param Object req			The request, see RestClient.use
+ * @return string
+ */
+function requestUrl(req) {
+	return req.method === 'GET' ?
+		req.url + '?d=' + encodeURIComponent(JSON.stringify(req.data)) :
+		req.url;
+}
+
+/**
+ * Retry Wait
+ *
+ * Returns a promise that resolves after the backoff delay for the given
+ * attempt has passed
+ *
+ * @name retryWait
+ * @access private
+ * @param object policy			The retry policy, see retryPolicy
+ * @param uint attempt			The attempt that just failed
+ * @param uint after			Optional seconds the service asked us to wait
+ * @param AbortSignal signal	Optional signal to stop waiting early
+ * @return Promise
+ */
+function retryWait(policy, attempt, after=NaN, signal=null) {
+
+	// Calculate the exponential delay, capped at the max
+	let iDelay = Math.min(
+		policy.delay * Math.pow(policy.factor, attempt - 1),
+		policy.max
+	);
+
+	// Randomise part of the delay
+	iDelay -= Math.random() * iDelay * policy.jitter;
+
+	// If the service asked for a longer wait, use that instead, but never
+	//	wait longer than the max
+	if(!isNaN(after)) {
+		iDelay = Math.min(Math.max(iDelay, after * 1000), policy.max);
+	}
+
+	// Return the promise
+	return new Promise((resolve, reject) => {
+
+		// If we were cancelled while waiting, stop the timer and reject
+		let fAbort = () => {
+			clearTimeout(iTimer);
+			reject(new Error('Aborted'));
+		}
+
+		// Start the timer
+		let iTimer = setTimeout(() => {
+			if(signal) {
+				signal.removeEventListener('abort', fAbort);
+			}
+			resolve();
+		}, iDelay);
+
+		// If we have a signal, listen for it
+		if(signal) {
+			if(signal.aborted) {
+				fAbort();
+			} else {
+				signal.addEventListener('abort', fAbort);
+			}
+		}
+	});
+}
+
+/**
+ * XHR Fetch
+ *
+ * Works like fetch, but sends the request using an XMLHttpRequest so that
+ * upload and download progress can be reported
+ *
+ * @name xhrFetch
+ * @access private
+ * @param XMLHttpRequest xhr	The new request to send with
+ * @param string url			The full URL to fetch
+ * @param object opts			The options passed to fetch
+ * @param string type			'arraybuffer', 'blob', or 'text'
+ * @param function progress		Optional, called with the bytes sent or
+ *								received, and the total if known
+ * @return Promise
+ */
+function xhrFetch(xhr, url, opts, type, progress=null) {
+
+	// Return a new promise
+	return new Promise((resolve, reject) => {
+
+		// Called to stop listening for the caller's signal
+		let fDone = () => {
+			if(opts.signal) {
+				opts.signal.removeEventListener('abort', fAbort);
+			}
+		}
+
+		// If the request is cancelled, stop it and reject
+		let fAbort = () => {
+			xhr.abort();
+			fDone();
+			let oError = new Error('Aborted');
+			oError.name = 'AbortError';
+			reject(oError);
+		}
+
+		// Open the request and add the headers
+		xhr.open(opts.method, url);
+		for(let k in opts.headers) {
+			xhr.setRequestHeader(k, opts.headers[k]);
+		}
+		xhr.responseType = type;
+
+		// If we want progress, listen for it on the body being sent, or on
+		//	the response if we're only receiving
+		if(progress) {
+			let fProgress = ev => progress(
+				ev.loaded, ev.lengthComputable ? ev.total : null
+			);
+			if(opts.body && xhr.upload) {
+				xhr.upload.onprogress = fProgress;
+			} else {
+				xhr.onprogress = fProgress;
+			}
+		}
+
+		// If it failed to reach the service
+		xhr.onerror = () => {
+			fDone();
+			reject(new TypeError('Network request failed'));
+		}
+
+		// If it finished, resolve with something that works like a Response
+		xhr.onload = () => {
+			fDone();
+			resolve({
+				ok: xhr.status >= 200 && xhr.status < 300,
+				status: xhr.status,
+				statusText: xhr.statusText,
+				headers: {
+					get: k => xhr.getResponseHeader(k)
+				},
+				arrayBuffer: () => Promise.resolve(xhr.response),
+				blob: () => Promise.resolve(xhr.response),
+				json: () => new Promise(res => res(JSON.parse(xhr.response))),
+				text: () => Promise.resolve(xhr.response)
+			});
+		}
+
+		// If we have a signal, listen for it
+		if(opts.signal) {
+			if(opts.signal.aborted) {
+				return fAbort();
+			}
+			opts.signal.addEventListener('abort', fAbort);
+		}
+
+		// Send the request
+		xhr.send(opts.body || null);
+	});
+}
+
+/**
+ * Rest Client
+ *
+ * Holds the configuration, session, read cache, and offline queue for one
+ * domain. The default export is an instance of this, apps that need to talk
+ * to more than one domain can create more with createClient
+ *
+ * @name RestClient
+ * @access public
+ */
+export class RestClient {
+
+	/**
+	 * Constructor
+	 *
+	 * Initialises the instance data
+	 *
+	 * @name RestClient
+	 * @access public
+	 * @param Object transport	The transport used to talk to the outside
+	 *								world, with the following
+	 *								fetch: function(url, opts, request) that
+	 *									works like the global fetch. request is
+	 *									the method, service, noun, and data
+	 *								network: object with fetch() and
+	 *									addEventListener(callback) that work
+	 *									like NetInfo
+	 *								storage: object with getItem, setItem, and
+	 *									removeItem that work like AsyncStorage
+	 *								secure: optional object like storage, used
+	 *									for the session
+	 *								xhr: optional function that returns a new
+	 *									XMLHttpRequest, needed to report the
+	 *									progress of uploads and downloads
+	 * @return RestClient
+	 */
+	constructor(transport) {
+
+		// Store the transport
+		this._transport = transport;
+
+		// Config data
+		this._conf = {
+			after: null,
+			batch: {
+				max: 50,
+				noun: null,
+				service: null,
+				window: 0
+			},
+			before: null,
+			cache: {
+				persist: true,
+				ttl: 300000
+			},
+			concurrency: 0,
+			cookie: '',
+			dedupe: true,
+			domain: '',
+			error: null,
+			errors: {},
+			locale: null,
+			locale_fallback: null,
+			max_url: 2000,
+			name: '',
+			presenter: null,
+			queue: false,
+			refresh: null,
+			replayed: null,
+			secure_queue: false,
+			secure_storage: null,
+			retry: {
+				attempts: 1,
+				delay: 500,
+				factor: 2,
+				jitter: 0.5,
+				max: 10000,
+				network: true,
+				post: false,
+				statuses: [408, 429, 500, 502, 503, 504]
+			},
+			session: null,
+			session_changed: null,
+			session_expired: null,
+			success: null,
+			telemetry: {
+				redact: ['Authorization', 'Cookie', 'Set-Cookie'],
+				size: 100
+			},
+			timeout: 0,
+			use_session: true
+		}
+
+		// Identical reads currently waiting on a response
+		this._inflight = {};
+
+		// The middleware every request passes through
+		this._middleware = [];
+
+		// Errors already shown by the presenter
+		this._presented = new WeakSet();
+
+		// The number of requests being sent, and those waiting for a slot
+		this._active = 0;
+		this._waiting = [];
+
+		// The promise for the current session refresh
+		this._refreshing = null;
+
+		// The batch currently collecting requests made within the window
+		this._batchWindow = null;
+
+		// Read cache data, the hash of the session it was read with, and a
+		//	count of the times it was cleared
+		this._cache = {};
+		this._cacheCleared = 0;
+		this._cacheOwner = null;
+
+		// Error message catalogues by locale
+		this._catalogues = {};
+
+		// Offline queue data
+		this._queue = [];
+		this._queueCount = 0;
+		this._queueListener = null;
+		this._queueLoaded = false;
+		this._queueRunning = false;
+
+		// The most recent requests, and callbacks for each one that finishes
+		this._telemetry = [];
+		this._telemetryListeners = [];
+	}
+
+	/**
+	 * Batch
+	 *
+	 * Calls the function with an object that has the same create, delete,
+	 * read, and update methods as the client, and sends every request made on
+	 * it as a single request to the batch service/noun set in init. Each
+	 * request still gets its own result. If fn is async, requests made after
+	 * it awaits something are batched with any others made at the same time.
+	 * See README.md for the format the batch service must accept and return
+	 *
+	 * @name batch
+	 * @access public
+	 * @param function fn			Called with the batch object
+	 * @return mixed				Whatever fn returns
+	 */
+	batch(fn) {
+
+		// If we have no batch noun, we can't batch
+		if(!this._conf.batch.noun) {
+			throw new Error('Rest.batch requires init to be called with batch.service and batch.noun');
+		}
+
+		// Init the batch
+		let oBatch = {items: [], running: true, timer: null};
+
+		// Create the object passed to the function
+		let oScope = {};
+		for(let s of ['create', 'delete', 'read', 'update']) {
+			oScope[s] = (service, noun, data, opts={}) =>
+				this[s](service, noun, data, {...opts, _batch: oBatch});
+		}
+
+		// Call the function, then send whatever it requested
+		try {
+			return fn(oScope);
+		} finally {
+			oBatch.running = false;
+			this._batchSend(oBatch);
+		}
+	}
+
+	/**
+	 * Batch Add
+	 *
+	 * Adds a request to a batch, either the one passed in the options by
+	 * batch(), or the current window
+	 *
+	 * @name _batchAdd
+	 * @access private
+	 * @param string method			The method used to send the request
+	 * @param string service		The name of the service to call
+	 * @param string noun			The noun to call on the service
+	 * @param object data			The data to send to the service
+	 * @param object opts			Optional flags that can be set
+	 * @return Promise
+	 */
+	_batchAdd(method, service, noun, data, opts) {
+
+		// Get the batch
+		let oBatch = opts._batch;
+
+		// If we don't have one, use the window, creating it if necessary
+		if(!oBatch) {
+			if(!this._batchWindow) {
+				this._batchWindow = {items: [], timer: null};
+				this._batchWindow.timer = setTimeout(
+					this._batchSend.bind(this, this._batchWindow),
+					this._conf.batch.window
+				);
+			}
+			oBatch = this._batchWindow;
+		}
+
+		// Return a promise that will be resolved when the batch is sent
+		return new Promise((resolve, reject) => {
+
+			// Details for any errors
+			let oInfo = {method: method, service: service, noun: noun};
+
+			// Called to stop waiting on the signal and the timeout once the
+			//	request is done
+			let iTimer = null;
+			let fDone = () => {
+				if(iTimer) {
+					clearTimeout(iTimer);
+				}
+				if(opts.signal) {
+					opts.signal.removeEventListener('abort', fAbort);
+				}
+			}
+
+			// Init the item
+			let {_batch, ...oOpts} = opts;
+			let oItem = {
+				method: method,
+				service: service,
+				noun: noun,
+				data: data,
+				opts: oOpts,
+				resolve: res => {
+					fDone();
+					resolve(res);
+				},
+				reject: res => {
+					fDone();
+					reject(res);
+				}
+			};
+
+			// Called to fail the request on its own, removing it from the
+			//	batch if it hasn't been sent yet. If it has, its result is
+			//	ignored
+			let fFail = code => {
+				let i = oBatch.items.indexOf(oItem);
+				if(i > -1) {
+					oBatch.items.splice(i, 1);
+				}
+				oItem.reject({
+					_handled: false,
+					error: new RestError(code, null, oInfo)
+				});
+			}
+
+			// If the request is cancelled, or times out, fail it
+			let fAbort = () => fFail(ERROR_ABORTED);
+			if(opts.signal) {
+				if(opts.signal.aborted) {
+					return fAbort();
+				}
+				opts.signal.addEventListener('abort', fAbort);
+			}
+			let iTimeout = 'timeout' in opts ? opts.timeout : this._conf.timeout;
+			if(iTimeout) {
+				iTimer = setTimeout(() => {
+					console.error(method + ' ' + service + '/' + noun + ' timed out after ' + iTimeout + 'ms in a batch');
+					fFail(ERROR_TIMEOUT);
+				}, iTimeout);
+			}
+
+			// Add the request
+			oBatch.items.push(oItem);
+
+			// If we've hit the max, send it now
+			if(oBatch.items.length >= this._conf.batch.max) {
+				this._batchSend(oBatch);
+			}
+
+			// Else, if the function passed to batch() already returned, e.g.
+			//	this was made after an await, send it once everything else
+			//	made at the same time has been added
+			else if(oBatch.running === false && !oBatch.timer) {
+				oBatch.timer = setTimeout(
+					this._batchSend.bind(this, oBatch), 0
+				);
+			}
+		});
+	}
+
+	/**
+	 * Batch Send
+	 *
+	 * Sends all the requests in the batch as one request, then passes each
+	 * result on to the caller that made it. If we're offline, each request is
+	 * sent on its own so the offline queue can handle them
+	 *
+	 * @name _batchSend
+	 * @access private
+	 * @param object batch			The batch to send
+	 * @return void
+	 */
+	_batchSend(batch) {
+
+		// Pull out the items and reset the batch so nothing is sent twice
+		let lItems = batch.items;
+		batch.items = [];
+		if(batch.timer) {
+			clearTimeout(batch.timer);
+			batch.timer = null;
+		}
+		if(this._batchWindow === batch) {
+			this._batchWindow = null;
+		}
+
+		// Called to send an item on its own
+		let fAlone = o => {
+			this._request(o.method, o.service, o.noun, o.data, {
+				...o.opts,
+				batch: false
+			}).then(o.resolve, o.reject);
+		}
+
+		// If there's nothing, or only one, there's no point in batching
+		if(lItems.length === 0) {
+			return;
+		}
+		if(lItems.length === 1) {
+			return fAlone(lItems[0]);
+		}
+
+		// Send the batch
+		this._request('POST', this._conf.batch.service, this._conf.batch.noun, {
+			requests: lItems.map(o => ({
+				method: o.method,
+				service: o.service,
+				noun: o.noun,
+				data: o.data
+			}))
+		}, {batch: false, queue: false}).then(res => {
+
+			// Go through each item
+			lItems.forEach((o, i) => {
+
+				// If the whole batch failed, or we didn't get a result for the
+				//	item, give the caller an error
+				let oItem = res.error ? {error: res.error} : (
+					(Array.isArray(res.data) && res.data[i]) ?
+						{...res.data[i]} :
+						{error: new RestError(ERROR_NOT_OK, 'Missing from batch')}
+				);
+
+				// Init the details for any errors
+				let oInfo = {method: o.method, service: o.service, noun: o.noun};
+
+				// If the service returned an error, make it a RestError
+				if(oItem.error && !(oItem.error instanceof RestError)) {
+					oItem.error = new RestError(
+						oItem.error.code, oItem.error.msg, oInfo
+					);
+				}
+
+				// Else, if the request changed data, remove any cached reads of
+				//	the same noun
+				else if(!oItem.error && o.method !== 'GET') {
+					this.cacheInvalidate(o.service, o.noun);
+				}
+
+				// Pass it on
+				oItem._handled = false;
+				o.resolve(oItem);
+			});
+
+		}, res => {
+
+			// If we're offline, send each request on its own so they are
+			//	queued or fail individually
+			if(res.error && res.error.code === ERROR_OFFLINE) {
+				lItems.forEach(fAlone);
+			}
+
+			// Else, fail each request with the batch error
+			else {
+				lItems.forEach(o => o.reject({...res}));
+			}
+		});
+	}
+
+	/**
+	 * Cache Clear
+	 *
+	 * Removes every cached read, in memory and in storage. Called whenever the
+	 * session is cleared or replaced so one user never sees another's reads
+	 *
+	 * @name _cacheClear
+	 * @access private
+	 * @return void
+	 */
+	_cacheClear() {
+		++this._cacheCleared;
+		this._cache = {};
+		this._transport.storage.removeItem(this._storageKey('cache'));
+	}
+
+	/**
+	 * Cache Check
+	 *
+	 * Makes sure the cache belongs to the current session, clearing it if it
+	 * was read with another, e.g. by a previous user on a fresh launch
+	 *
+	 * @name _cacheCheck
+	 * @access private
+	 * @return void
+	 */
+	_cacheCheck() {
+		let sOwner = hash(this._conf.session);
+		if(sOwner !== this._cacheOwner) {
+			this._cacheClear();
+			this._cacheOwner = sOwner;
+		}
+	}
+
+	/**
+	 * Cache Get
+	 *
+	 * Returns the cached entry for the key, or null if there is none
+	 *
+	 * @name _cacheGet
+	 * @access private
+	 * @param string key			The key of the entry, see cacheKey
+	 * @return object|null
+	 */
+	_cacheGet(key) {
+		this._cacheCheck();
+		return key in this._cache ? this._cache[key] : null;
+	}
+
+	/**
+	 * Cache Invalidate
+	 *
+	 * Removes cached reads. If no service is passed everything is removed, if
+	 * no noun is passed everything for the service is removed, else only reads
+	 * of the specific service/noun are removed
+	 *
+	 * @name cacheInvalidate
+	 * @access public
+	 * @param string service		Optional, the name of the service
+	 * @param string noun			Optional, the noun on the service
+	 * @return void
+	 */
+	cacheInvalidate(service=null, noun=null) {
+
+		// Go through each entry and remove those that match
+		let bRemoved = false;
+		for(let k of Object.keys(this._cache)) {
+			if((service === null || this._cache[k].service === service) &&
+				(noun === null || this._cache[k].noun === noun)) {
+				delete this._cache[k];
+				bRemoved = true;
+			}
+		}
+
+		// If anything was removed, store the cache
+		if(bRemoved) {
+			this._cacheStore();
+		}
+	}
+
+	/**
+	 * Cache Set
+	 *
+	 * Stores the result of a read request
+	 *
+	 * @name _cacheSet
+	 * @access private
+	 * @param string service		The name of the service
+	 * @param string noun			The noun on the service
+	 * @param object data			The data sent to the service
+	 * @param object result			The result returned by the service
+	 * @param uint ttl				The milliseconds the result is valid for
+	 * @return void
+	 */
+	_cacheSet(service, noun, data, result, ttl) {
+
+		// Make sure we aren't adding to another session's cache
+		this._cacheCheck();
+
+		// Store a copy of the result so the caller can't change it
+		this._cache[cacheKey(service, noun, data)] = {
+			service: service,
+			noun: noun,
+			result: clone(result),
+			expires: Date.now() + ttl
+		};
+
+		// Store the cache
+		this._cacheStore();
+	}
+
+	/**
+	 * Cache Store
+	 *
+	 * Saves the current cache so it can be restored on the next launch
+	 *
+	 * @name _cacheStore
+	 * @access private
+	 * @return void
+	 */
+	_cacheStore() {
+		if(this._conf.cache.persist) {
+			this._transport.storage.setItem(
+				this._storageKey('cache'), JSON.stringify({
+					entries: this._cache,
+					owner: this._cacheOwner
+				})
+			);
+		}
+	}
+
+	/**
+	 * Catalogue
+	 *
+	 * Looks for a message in the catalogues of the current locale, then the
+	 * locale's language, then the fallback locale. In each, the service's
+	 * own section is checked before the global one
+	 *
+	 * @name _catalogue
+	 * @access private
+	 * @param string section		'errors', 'fields', or 'generic'
+	 * @param string key			The code or field error, null for generic
+	 * @param string service		Optional, the service the error came from
+	 * @return string|null
+	 */
+	_catalogue(section, key, service=null) {
+
+		// Get the locales to check, in order
+		let lLocales = [];
+		if(this._conf.locale) {
+			lLocales.push(this._conf.locale, this._conf.locale.split('-')[0]);
+		}
+		if(this._conf.locale_fallback) {
+			lLocales.push(this._conf.locale_fallback);
+		}
+
+		// Go through each one we have a catalogue for
+		for(let sLocale of lLocales) {
+			let oCat = this._catalogues[sLocale];
+			if(!oCat) {
+				continue;
+			}
+
+			// Check the service, then the global section
+			let lPlaces = [];
+			if(service && oCat.services && oCat.services[service]) {
+				lPlaces.push(oCat.services[service]);
+			}
+			lPlaces.push(oCat);
+			for(let o of lPlaces) {
+				if(key === null) {
+					if(typeof o[section] === 'string') {
+						return o[section];
+					}
+				} else if(o[section] && key in o[section]) {
+					return o[section][key];
+				}
+			}
+		}
+
+		// Nothing found
+		return null;
+	}
+
+	/**
+	 * Clear
+	 *
+	 * Clears the session from the conf and cookie, the read cache, and the
+	 * offline queue
+	 *
+	 * @name _clear
+	 * @access private
+	 * @return void
+	 */
+	_clear() {
+
+		// Clear the session
+		this._conf.session = null;
+
+		// Delete the cookie
+		this._secureRemove('session');
+
+		// Forget anything read with the session, and anything waiting to be
+		//	sent with it
+		this._cacheClear();
+		this.queueClear();
+
+		// Let the app know
+		if(this._conf.session_changed) {
+			this._conf.session_changed(null);
+		}
+	}
+
+	/**
+	 * Create
+	 *
+	 * Calls the create action on a specific service noune
+	 *
+	 * @name create
+	 * @access public
+	 * @param string service		The name of the service to call
+	 * @param string noun			The noun to call on the service
+	 * @param object data			The data to send to the service
+	 * @param object opts			Optional flags that can be set
+	 * @return xhr
+	 */
+	create(service, noun, data, opts={}) {
+		return this._present(
+			this._request('POST', service, noun, data, opts)
+		);
+	}
+
+	/**
+	 * Delete
+	 *
+	 * Calls the delete action on a specific service noune
+	 *
+	 * @name delete
+	 * @access public
+	 * @param string service		The name of the service to call
+	 * @param string noun			The noun to call on the service
+	 * @param object data			The data to send to the service
+	 * @param object opts			Optional flags that can be set
+	 * @return xhr
+	 */
+	delete(service, noun, data, opts={}) {
+		return this._present(
+			this._request('DELETE', service, noun, data, opts)
+		);
+	}
+
+	/**
+	 * Download
+	 *
+	 * Reads the service noun and resolves with the raw body instead of JSON.
+	 * Downloads are never cached, shared, batched, or queued. The result
+	 * includes the Content-Type of the response as type
+	 *
+	 * @name download
+	 * @access public
+	 * @param string service		The name of the service to call
+	 * @param string noun			The noun to call on the service
+	 * @param object data			The data to send to the service
+	 * @param object opts			Optional flags that can be set
+	 *									as: 'blob', 'arraybuffer', or 'text',
+	 *										defaults to 'blob'
+	 *									progress: called with the bytes received
+	 *										and the total, or null if unknown
+	 * @return Promise
+	 */
+	download(service, noun, data={}, opts={}) {
+		let { as, progress, ...oOpts } = opts;
+		return this._present(
+			this._request('GET', service, noun, data, {
+				...oOpts,
+				batch: false,
+				_transfer: {as: as || 'blob', progress: progress || null}
+			})
+		);
+	}
+
+	/**
+	 * Generic Error Message
+	 *
+	 * Returns an error message for the error from the catalogue of the current
+	 * locale, see localeAdd. Looks for the code under the error's service,
+	 * then under all services, then in the errors passed to init, and finally
+	 * uses the generic message. Placeholders are filled from the error, and
+	 * from the msg if it's an object
+	 *
+	 * @name errorMessage
+	 * @access public
+	 * @param Object error The 'code' and 'msg', or a RestError
+	 * @return String
+	 */
+	errorMessage(error) {
+
+		// Convert the code to a string
+		let sCode = error.code.toString();
+
+		// Get the values for any placeholders
+		let oValues = {
+			...((error.msg && typeof error.msg === 'object' &&
+				!Array.isArray(error.msg)) ? error.msg : {}),
+			code: error.code,
+			method: error.method || null,
+			msg: 'msg' in error ? error.msg : null,
+			noun: error.noun || null,
+			service: error.service || null,
+			status: error.status || null
+		};
+
+		// Look for the code in the catalogues, then in the errors passed to
+		//	init
+		let sMessage = this._catalogue('errors', sCode, error.service);
+		if(sMessage === null && sCode in this._conf.errors) {
+			sMessage = this._conf.errors[sCode];
+		}
+
+		// If we didn't find it, look for the generic message
+		if(sMessage === null) {
+			sMessage = this._catalogue('generic', null, error.service);
+		}
+
+		// If we have a message, fill it, else use the msg and code
+		if(sMessage !== null) {
+			return fill(sMessage, oValues);
+		} else {
+			return 'msg' in error ? error.msg + ' (' + sCode + ')' : sCode;
+		}
+	}
+
+	/**
+	 * Error Tree
+	 *
+	 * Converts the field errors returned by a service into a tree, see toTree,
+	 * with each error replaced by its message from the fields of the current
+	 * locale's catalogue. Errors without a message are left as is
+	 *
+	 * @name errorTree
+	 * @access public
+	 * @param Array errors			The list of field errors
+	 * @param string service		Optional, the service that returned them
+	 * @return Object
+	 */
+	errorTree(errors, service=null) {
+		return toTree(errors.map(l => {
+			let sError = l[1] === 'is not a string' ? 'missing' : l[1];
+			let sMessage = this._catalogue('fields', sError, service);
+			return [l[0], sMessage === null ?
+							sError :
+							fill(sMessage, {error: sError, field: l[0]})];
+		}));
+	}
+
+	/**
+	 * Hooks
+	 *
+	 * Middleware that calls the before, after, and success callbacks passed
+	 * to init. Kept so existing apps continue to work, new code should use
+	 * middleware
+	 *
+	 * @name _hooks
+	 * @access private
+	 * @param Object req			The request, see use
+	 * @param function next			Passes the request along
+	 * @return Promise
+	 */
+	_hooks(req, next) {
+
+		// Generate the URL the callbacks expect
+		let sURL = requestUrl(req);
+
+		// If we have a before callback
+		if(this._conf.before) {
+			this._conf.before(req.method, sURL, req.opts);
+		}
+
+		// Pass the request along
+		return next(req).then(res => {
+
+			// Call the success callback if there is one, and the service
+			//	responded OK
+			if(this._conf.success && !(res.error && res.error.status >= 300)) {
+				this._conf.success(res);
+			}
+
+			// Return the result
+			return res;
+
+		}).finally(() => {
+
+			// If we have an after callback
+			if(this._conf.after) {
+				this._conf.after(req.method, sURL, req.data, req.opts);
+			}
+		});
+	}
+
+	/**
+	 * Init
+	 *
+	 * Initialises the modules
+	 *
+	 * @name init
+	 * @access public
+	 * @param string domain		The domain rest services can be reached through
+	 * @param string cookie		The domain to store the cookie on
+	 * @param Object opts		Optional settings
+	 *								after: optional callback to run after all requests,
+	 *									deprecated, use middleware
+	 *								batch: optional object with the service and noun
+	 *									to send batches to, the max requests in
+	 *									one batch, and the window in
+	 *									milliseconds to collect requests into a
+	 *									batch, 0 to only batch with batch()
+	 *								before:	optional callback to run before all requests,
+	 *									deprecated, use middleware
+	 *								cache: optional object with the default ttl in
+	 *									milliseconds for cached reads, and a
+	 *									persist flag to store the cache between
+	 *									launches
+	 *								concurrency: optional maximum number of requests
+	 *									sent at once, 0 for no limit
+	 *								cookie: optional domain for storing the session cookie in
+	 *								dedupe: optional flag, true by default, to share
+	 *									one request between identical reads made
+	 *									while the first is still waiting
+	 *								error: optional callback for when http errors occur
+	 *								errors: optional object of error codes to messages
+	 *								locale: optional name of the locale to get
+	 *									error messages from, see localeAdd
+	 *								locale_fallback: optional name of the locale
+	 *									to use for messages the current one
+	 *									doesn't have
+	 *								locales: optional object of locale names to
+	 *									catalogues, see localeAdd
+	 *								max_url: optional maximum length of a GET URL,
+	 *									longer reads are sent as a POST with an
+	 *									X-HTTP-Method-Override header of GET. 0
+	 *									to never do this
+	 *								middleware: optional list of middleware to add,
+	 *									see use
+	 *								name: optional name used to keep the stored
+	 *									session, cache, and queue of this client
+	 *									apart from those of any other clients.
+	 *									Only the default instance has no name,
+	 *									createClient uses the domain if none is
+	 *									passed
+	 *								presenter: optional function to show errors
+	 *									to the user, passed the RestError and the
+	 *									message from errorMessage. Only called
+	 *									for errors the caller didn't set
+	 *									_handled to true on
+	 *								refresh: optional function called when a request
+	 *									fails with a 401, must return a Promise
+	 *									resolving to a new session token, or null.
+	 *									Any requests made by it should set the
+	 *									'refresh' option to false
+	 *								queue: optional flag to store create, update, and
+	 *									delete requests made while offline, and
+	 *									replay them when the connection returns.
+	 *									The queue is dropped whenever the session
+	 *									is cleared or replaced, so requests are
+	 *									never sent as another user
+	 *								replayed: optional callback for each queued request
+	 *									sent after reconnecting
+	 *								retry: optional policy for retrying failed
+	 *									requests, see retryPolicy
+	 *								secure_queue: optional flag to keep the offline
+	 *									queue in the secure storage too. The
+	 *									queue can grow past the ~2KB per value
+	 *									limit of secureStore, so use it with a
+	 *									storage that has no limit, e.g. one that
+	 *									encrypts values into AsyncStorage
+	 *								secure_storage: optional storage that works like
+	 *									AsyncStorage, used instead of the
+	 *									transport's for the session, e.g.
+	 *									secureStore
+	 *								session_changed: optional callback passed the new
+	 *									session token, or null, whenever it changes
+	 *								session_expired: optional callback for when the
+	 *									service rejects the session
+	 *								success: optional callback for after successful requests,
+	 *									deprecated, use middleware
+	 *								telemetry: optional object with the number of
+	 *									recent requests to keep as size, and the
+	 *									list of headers to redact
+	 *								timeout: optional milliseconds after which any
+	 *									request is cancelled, 0 for never
+	 *								use_session: optional flag to allow for never using sessions
+	 * @return void
+	 */
+	init(domain, opts={}) {
+
+		// Store the domains
+		this._conf.domain = domain + '/';
+
+		// Store the name
+		if('name' in opts) {
+			this._conf.name = opts.name;
+		}
+
+		// Store the storage for sensitive data
+		if('secure_storage' in opts) {
+			if(opts['secure_storage'] === null || typeof opts['secure_storage'] === 'object') {
+				this._conf.secure_storage = opts['secure_storage'];
+			} else {
+				console.error('Rest.init \'secure_storage\' param must be an object');
+			}
+		}
+		if('secure_queue' in opts) {
+			this._conf.secure_queue = !!opts.secure_queue;
+		}
+
+		// Store error codes/messages
+		if('errors' in opts) {
+			this._conf.errors = opts.errors;
+		}
+
+		// Store the error catalogues and the locales to use
+		if('locales' in opts) {
+			for(let k in opts.locales) {
+				this.localeAdd(k, opts.locales[k]);
+			}
+		}
+		if('locale' in opts) {
+			this._conf.locale = opts.locale;
+		}
+		if('locale_fallback' in opts) {
+			this._conf.locale_fallback = opts.locale_fallback;
+		}
+
+		// Store callbacks
+		if('error' in opts) {
+			if(typeof opts['error'] === 'function') {
+				this._conf.error = opts['error'];
+			} else {
+				console.error('Rest.init \'error\' param must be a function');
+			}
+		}
+		if('before' in opts) {
+			if(typeof opts['before'] === 'function') {
+				this._conf.before = opts['before'];
+			} else {
+				console.error('Rest.init \'before\' param must be a function');
+			}
+		}
+		if('after' in opts) {
+			if(typeof opts['after'] === 'function') {
+				this._conf.after = opts['after'];
+			} else {
+				console.error('Rest.init \'after\' param must be a function');
+			}
+		}
+		if('success' in opts) {
+			if(typeof opts['success'] === 'function') {
+				this._conf.success = opts['success'];
+			} else {
+				console.error('Rest.init \'success\' param must be a function');
+			}
+		}
+		if('presenter' in opts) {
+			if(opts['presenter'] === null || typeof opts['presenter'] === 'function') {
+				this._conf.presenter = opts['presenter'];
+			} else {
+				console.error('Rest.init \'presenter\' param must be a function');
+			}
+		}
+		if('refresh' in opts) {
+			if(typeof opts['refresh'] === 'function') {
+				this._conf.refresh = opts['refresh'];
+			} else {
+				console.error('Rest.init \'refresh\' param must be a function');
+			}
+		}
+		if('session_changed' in opts) {
+			if(typeof opts['session_changed'] === 'function') {
+				this._conf.session_changed = opts['session_changed'];
+			} else {
+				console.error('Rest.init \'session_changed\' param must be a function');
+			}
+		}
+		if('session_expired' in opts) {
+			if(typeof opts['session_expired'] === 'function') {
+				this._conf.session_expired = opts['session_expired'];
+			} else {
+				console.error('Rest.init \'session_expired\' param must be a function');
+			}
+		}
+		if('replayed' in opts) {
+			if(typeof opts['replayed'] === 'function') {
+				this._conf.replayed = opts['replayed'];
+			} else {
+				console.error('Rest.init \'replayed\' param must be a function');
+			}
+		}
+
+		// Add any middleware
+		if('middleware' in opts) {
+			for(let f of opts.middleware) {
+				this.use(f);
+			}
+		}
+
+		// Store the batch settings
+		if('batch' in opts) {
+			if(typeof opts['batch'] === 'object') {
+				this._conf.batch = {...this._conf.batch, ...opts['batch']};
+			} else {
+				console.error('Rest.init \'batch\' param must be an object');
+			}
+		}
+
+		// Store the cache settings
+		if('cache' in opts) {
+			if(typeof opts['cache'] === 'object') {
+				this._conf.cache = {...this._conf.cache, ...opts['cache']};
+			} else {
+				console.error('Rest.init \'cache\' param must be an object');
+			}
+		}
+
+		// If we are persisting the cache, load whatever was stored last time,
+		//	without overwriting anything read since, or bringing anything back
+		//	if the cache was cleared in the meantime
+		if(this._conf.cache.persist) {
+			let iCleared = this._cacheCleared;
+			this._transport.storage.getItem(this._storageKey('cache')).then(s => {
+				if(!s || iCleared !== this._cacheCleared) {
+					return;
+				}
+				let oStored;
+				try {
+					oStored = JSON.parse(s);
+				} catch(error) {
+					oStored = null;
+				}
+				if(!oStored || typeof oStored.entries !== 'object') {
+					console.error('Rest stored cache is invalid, ignoring it');
+					this._transport.storage.removeItem(this._storageKey('cache'));
+					return;
+				}
+
+				// If we have nothing yet, take the stored cache and whoever it
+				//	belongs to, it's checked against the session before use.
+				//	Else, only add it if it belongs to the same session
+				if(empty(this._cache)) {
+					this._cache = oStored.entries || {};
+					this._cacheOwner = oStored.owner;
+				} else if(oStored.owner === this._cacheOwner) {
+					this._cache = {...oStored.entries, ...this._cache};
+				}
+			});
+		}
+
+		// Store the retry policy
+		if('retry' in opts) {
+			if(typeof opts['retry'] === 'object') {
+				this._conf.retry = {...this._conf.retry, ...opts['retry']};
+			} else {
+				console.error('Rest.init \'retry\' param must be an object');
+			}
+		}
+
+		// Store the telemetry settings
+		if('telemetry' in opts) {
+			if(typeof opts['telemetry'] === 'object') {
+				this._conf.telemetry = {...this._conf.telemetry, ...opts['telemetry']};
+			} else {
+				console.error('Rest.init \'telemetry\' param must be an object');
+			}
+		}
+
+		// Store the default timeout
+		if('timeout' in opts) {
+			this._conf.timeout = opts.timeout;
+		}
+
+		// Store the maximum URL length
+		if('max_url' in opts) {
+			this._conf.max_url = opts.max_url;
+		}
+
+		// Store the request limits
+		if('concurrency' in opts) {
+			this._conf.concurrency = opts.concurrency;
+		}
+		if('dedupe' in opts) {
+			this._conf.dedupe = opts.dedupe;
+		}
+
+		// If we are using the offline queue
+		if(opts.queue) {
+			this._conf.queue = true;
+
+			// Load any requests left over from the last time the app ran, only
+			//	once no matter how many times init is called, then attempt to
+			//	send them
+			if(!this._queueLoaded) {
+				this._queueLoaded = true;
+				let oLoad = this._conf.secure_queue ?
+								this._secureGet('queue') :
+								this._transport.storage.getItem(this._storageKey('queue'));
+				oLoad.then(s => {
+					if(s) {
+						try {
+							this._queue = JSON.parse(s).concat(this._queue);
+						} catch(error) {
+							console.error('Rest stored queue is invalid, ignoring it');
+							this._queueStore();
+						}
+					}
+					this._queueFlush();
+				}, error => {
+					console.error('Rest failed to load the offline queue:', error);
+				});
+			}
+
+			// Listen for network changes so we can send the queue as soon as
+			//	we're back online
+			if(this._queueListener === null) {
+				this._queueListener = this._transport.network.addEventListener(
+					state => {
+						if(state.isConnected) {
+							this._queueFlush();
+						}
+					}
+				);
+			}
+		}
+	}
+
+	/**
+	 * Locale
+	 *
+	 * Set or get the locale error messages are generated in
+	 *
+	 * @name locale
+	 * @access public
+	 * @param string name			The name of the locale, e.g. 'fr' or 'fr-CA'
+	 * @return void|string
+	 */
+	locale(name) {
+
+		// If we are setting the locale
+		if(typeof name !== 'undefined') {
+			this._conf.locale = name;
+		}
+
+		// Else, we are getting it
+		else {
+			return this._conf.locale;
+		}
+	}
+
+	/**
+	 * Locale Add
+	 *
+	 * Adds the error message catalogue for a locale, merging it with any
+	 * already added. A catalogue is an object with any of the following
+	 *	errors: object of error codes to messages
+	 *	fields: object of field errors, e.g. 'missing', to messages
+	 *	generic: the message for any error code not found
+	 *	services: object of service names to objects with their own errors
+	 *		and fields, checked before the global ones
+	 * Messages can contain placeholders, e.g. {code}, {status}, or {msg.0},
+	 * and field messages can use {field} and {error}
+	 *
+	 * @name localeAdd
+	 * @access public
+	 * @param string name			The name of the locale, e.g. 'fr' or 'fr-CA'
+	 * @param Object catalogue		The messages for the locale
+	 * @return void
+	 */
+	localeAdd(name, catalogue) {
+
+		// Get the existing catalogue
+		let oCat = this._catalogues[name] || {};
+
+		// Merge the new one over it, a service at a time
+		let oServices = {...oCat.services};
+		for(let k in catalogue.services) {
+			let oOld = oServices[k] || {};
+			let oNew = catalogue.services[k];
+			oServices[k] = {
+				errors: {...oOld.errors, ...oNew.errors},
+				fields: {...oOld.fields, ...oNew.fields}
+			};
+		}
+		this._catalogues[name] = {
+			errors: {...oCat.errors, ...catalogue.errors},
+			fields: {...oCat.fields, ...catalogue.fields},
+			generic: 'generic' in catalogue ?
+						catalogue.generic :
+						('generic' in oCat ? oCat.generic : null),
+			services: oServices
+		};
+	}
+
+	/**
+	 * Optimistic
+	 *
+	 * Makes a local change right away, then calls the action on the service
+	 * noun. If the request fails, the change is rolled back and the error is
+	 * passed, along with its errorMessage, to the failed callback. Requests
+	 * that are queued while offline are assumed to succeed later and are not
+	 * rolled back
+	 *
+	 * @name optimistic
+	 * @access public
+	 * @param string action			'create', 'delete', or 'update'
+	 * @param string service		The name of the service to call
+	 * @param string noun			The noun to call on the service
+	 * @param object data			The data to send to the service
+	 * @param object opts			Optional flags that can be set, any not
+	 *								listed are passed to the request
+	 *									apply: function that makes the local
+	 *										change and returns a function that
+	 *										undoes it
+	 *									changes: list of cached reads to change,
+	 *										each an object with the following
+	 *										service, noun, data: the read
+	 *										update: function passed the cached
+	 *											data, returns the new data
+	 *										commit: optional function passed the
+	 *											cached data and the data returned
+	 *											by the service, returns the data
+	 *											to keep
+	 *									failed: called with the error and its
+	 *										message after rolling back
+	 * @return Promise
+	 */
+	optimistic(action, service, noun, data, opts={}) {
+
+		// Make sure the action is valid
+		if(!(action in METHODS)) {
+			throw new Error('Rest.optimistic action must be one of ' +
+							Object.keys(METHODS).join(', '));
+		}
+
+		// Pull out our settings from the request options
+		let { apply, changes, failed, ...oOpts } = opts;
+
+		// Change any cached reads, keeping the old and new entries so we can
+		//	put them back
+		let lChanged = [];
+		for(let o of (changes || [])) {
+			let sKey = cacheKey(o.service, o.noun, o.data || {});
+			let oEntry = this._cacheGet(sKey);
+			if(oEntry) {
+				let oNew = {
+					...oEntry,
+					result: {
+						...oEntry.result,
+						data: o.update(clone(oEntry.result.data))
+					}
+				};
+				this._cache[sKey] = oNew;
+				lChanged.push({change: o, key: sKey, new: oNew, old: oEntry});
+			}
+		}
+		if(lChanged.length) {
+			this._cacheStore();
+		}
+
+		// Make the local change
+		let fUndo = apply ? apply() : null;
+
+		// Called to undo everything and report the error
+		let fRollback = error => {
+
+			// Put back any cached reads that haven't changed again since
+			let bRestored = false;
+			for(let o of lChanged) {
+				if(this._cache[o.key] === o.new) {
+					this._cache[o.key] = o.old;
+					bRestored = true;
+				}
+			}
+			if(bRestored) {
+				this._cacheStore();
+			}
+
+			// Undo the local change
+			if(typeof fUndo === 'function') {
+				fUndo();
+			}
+
+			// Report the error
+			if(failed) {
+				failed(error, this.errorMessage(error));
+			}
+		}
+
+		// Send the request
+		return this._present(
+			this._request(METHODS[action], service, noun, data, oOpts).then(res => {
+
+				// If it failed, roll back
+				if(res.error) {
+					fRollback(res.error);
+				}
+
+				// Else, commit the data returned to any cached reads still
+				//	around
+				else {
+					let bCommitted = false;
+					for(let o of lChanged) {
+						if(o.change.commit && o.key in this._cache) {
+							let oEntry = this._cache[o.key];
+							this._cache[o.key] = {
+								...oEntry,
+								result: {
+									...oEntry.result,
+									data: o.change.commit(
+										clone(oEntry.result.data), res.data
+									)
+								}
+							};
+							bCommitted = true;
+						}
+					}
+					if(bCommitted) {
+						this._cacheStore();
+					}
+				}
+
+				// Return the result
+				return res;
+
+			}, res => {
+
+				// If it wasn't queued, roll back
+				if(!res.queued) {
+					fRollback(res.error);
+				}
+
+				// Pass it along
+				return Promise.reject(res);
+			})
+		);
+	}
+
+	/**
+	 * Paginate
+	 *
+	 * Returns a pager that reads the service noun one page at a time. Call
+	 * next() on it to load more, or use it with for await to go through every
+	 * page
+	 *
+	 * @name paginate
+	 * @access public
+	 * @param string service		The name of the service to read from
+	 * @param string noun			The noun to read
+	 * @param object data			The data to send with every page
+	 * @param object opts			Optional settings, see RestPager
+	 * @return RestPager
+	 */
+	paginate(service, noun, data={}, opts={}) {
+		return new RestPager(this, service, noun, data, opts);
+	}
+
+	/**
+	 * Present
+	 *
+	 * Watches the result of a request, and if it's an error the caller didn't
+	 * mark as handled by the time their own callbacks have run, passes it to
+	 * the presenter
+	 *
+	 * @name _present
+	 * @access private
+	 * @param Promise request		The promise returned by the request
+	 * @return Promise
+	 */
+	_present(request) {
+
+		// Called to check the result once the caller has seen it
+		let fCheck = res => {
+
+			// If it's not an error, or it's one there's nothing to show for, a
+			//	cancelled request, or one queued to be sent later
+			if(!res || !res.error ||
+				res.error.code === ERROR_ABORTED ||
+				res.error.code === ERROR_QUEUED) {
+				return;
+			}
+
+			// Wait for the caller, then if they didn't handle it, and we have
+			//	a presenter, show it
+			setTimeout(() => {
+				if(!res._handled &&
+					this._conf.presenter &&
+					!this._presented.has(res.error)) {
+					this._presented.add(res.error);
+					this._conf.presenter(res.error, this.errorMessage(res.error));
+				}
+			}, 0);
+		}
+
+		// Check the result whether it resolves or rejects
+		request.then(fCheck, fCheck);
+
+		// Return the original promise
+		return request;
+	}
+
+	/**
+	 * Queue
+	 *
+	 * Returns a copy of the requests currently waiting to be sent
+	 *
+	 * @name queue
+	 * @access public
+	 * @return Object[]
+	 */
+	queue() {
+		return this._queue.map(o => ({...o}));
+	}
+
+	/**
+	 * Queue Add
+	 *
+	 * Adds a request to the end of the offline queue and stores the queue so it
+	 * survives the app being closed
+	 *
+	 * @name _queueAdd
+	 * @access private
+	 * @param string method			The method used to send the request
+	 * @param string service		The name of the service to call
+	 * @param string noun			The noun to call on the service
+	 * @param object data			The data to send to the service
+	 * @param object opts			Optional flags that can be set
+	 * @return string
+	 */
+	_queueAdd(method, service, noun, data, opts) {
+
+		// Generate a unique ID for the request
+		let sID = Date.now().toString(36) + '-' + (++this._queueCount).toString(36);
+
+		// Strip anything from the opts that can't be stored
+		let {signal, ...oOpts} = opts;
+
+		// Add the request
+		this._queue.push({
+			id: sID,
+			method: method,
+			service: service,
+			noun: noun,
+			data: data,
+			opts: JSON.parse(JSON.stringify(oOpts)),
+			created: Date.now()
+		});
+
+		// Store the queue
+		this._queueStore();
+
+		// Return the ID
+		return sID;
+	}
+
+	/**
+	 * Queue Clear
+	 *
+	 * Removes all requests from the offline queue without sending them
+	 *
+	 * @name queueClear
+	 * @access public
+	 * @return void
+	 */
+	queueClear() {
+		this._queue = [];
+		this._queueStore();
+	}
+
+	/**
+	 * Queue Flush
+	 *
+	 * Sends all queued requests, one at a time, in the order they were made. If
+	 * the connection is lost during the process, the remaining requests are kept
+	 * until the next time we reconnect
+	 *
+	 * @name _queueFlush
+	 * @access private
+	 * @return void
+	 */
+	_queueFlush() {
+
+		// If we're already sending, or there's nothing to send, do nothing
+		if(this._queueRunning || this._queue.length === 0) {
+			return;
+		}
+
+		// Mark us as running
+		this._queueRunning = true;
+
+		// Check the network
+		this._transport.network.fetch().then(state => {
+
+			// If we aren't connected, try again later
+			if(!state.isConnected) {
+				this._queueRunning = false;
+				return;
+			}
+
+			// Get the oldest request
+			let oEntry = this._queue[0];
+
+			// Send it
+			this._send(
+				oEntry.method, oEntry.service, oEntry.noun, oEntry.data,
+				{priority: 'low', ...oEntry.opts}
+			).then(res => {
+
+				// Remove the request, unless the queue was cleared while it
+				//	was being sent, and store the queue
+				let i = this._queue.indexOf(oEntry);
+				if(i > -1) {
+					this._queue.splice(i, 1);
+				}
+				this._queueStore();
+
+				// Let the app know
+				if(this._conf.replayed) {
+					this._conf.replayed(oEntry, res);
+				}
+
+				// Move on to the next one
+				this._queueRunning = false;
+				this._queueFlush();
+
+			}, error => {
+
+				// The request never made it, so leave it in the queue and wait
+				//	for the next time we connect
+				this._queueRunning = false;
+			});
+		});
+	}
+
+	/**
+	 * Queue Store
+	 *
+	 * Saves the current queue so it can be restored on the next launch
+	 *
+	 * @name _queueStore
+	 * @access private
+	 * @return void
+	 */
+	_queueStore() {
+
+		// Store the queue, or remove it if it's empty, in the secure storage
+		//	if we were asked to
+		let oStorage = this._conf.secure_queue ?
+						this._secure() :
+						this._transport.storage;
+		let sKey = this._storageKey('queue');
+		Promise.resolve().then(() =>
+			this._queue.length ?
+				oStorage.setItem(sKey, JSON.stringify(this._queue)) :
+				oStorage.removeItem(sKey)
+		).catch(error => {
+			console.error('Rest failed to store the offline queue:', error);
+		});
+	}
+
+	/**
+	 * Read
+	 *
+	 * Calls the read action on a specific service noune
+	 *
+	 * @name read
+	 * @access public
+	 * @param string service		The name of the service to call
+	 * @param string noun			The noun to call on the service
+	 * @param object data			The data to send to the service
+	 * @param object opts			Optional flags that can be set
+	 *									cache: true to cache the result using the
+	 *										global ttl, the ttl in milliseconds, or
+	 *										an object with the following
+	 *										ttl: the milliseconds the result is
+	 *											valid for
+	 *										stale: true to return an expired result
+	 *											right away and fetch a new one in
+	 *											the background
+	 *										refreshed: callback passed the new
+	 *											result after a background fetch
+	 *									dedupe: override the global dedupe flag
+	 * @return xhr
+	 */
+	read(service, noun, data={}, opts={}) {
+
+		// If we aren't caching, just make the request
+		if(!opts.cache) {
+			return this._present(this._shared(service, noun, data, opts));
+		}
+
+		// Get the cache settings
+		let oCache = {ttl: this._conf.cache.ttl, stale: false, refreshed: null};
+		if(typeof opts.cache === 'number') {
+			oCache.ttl = opts.cache;
+		} else if(typeof opts.cache === 'object') {
+			oCache = {...oCache, ...opts.cache};
+		}
+
+		// Called to make the request and store the result if it's valid
+		let fRequest = () => {
+			return this._shared(service, noun, data, opts).then(res => {
+				if(!res.error) {
+					this._cacheSet(service, noun, data, res, oCache.ttl);
+				}
+				return res;
+			});
+		}
+
+		// Look for an existing entry
+		let oEntry = this._cacheGet(cacheKey(service, noun, data));
+
+		// If we have one
+		if(oEntry) {
+
+			// If it's still valid, or it's expired but we can use stale results
+			let bValid = oEntry.expires > Date.now();
+			if(bValid || oCache.stale) {
+
+				// If it's expired, fetch the new data in the background
+				if(!bValid) {
+					fRequest().then(res => {
+						if(!res.error && oCache.refreshed) {
+							oCache.refreshed({...clone(res), _handled: false});
+						}
+					}, error => {
+						console.error('Rest.read background refresh failed:', error);
+					});
+				}
+
+				// Record the hit
+				let oStat = this._telemetryStart('GET', service, noun);
+				oStat.cached = true;
+				this._telemetryEnd(oStat, oEntry.result);
+
+				// Return a copy of the cached result
+				return Promise.resolve({
+					...clone(oEntry.result),
+					_cached: true,
+					_handled: false
+				});
+			}
+		}
+
+		// Make the request
+		return this._present(fRequest());
+	}
+
+	/**
+	 * Release
+	 *
+	 * Frees up the slot used by a request, handing it to the highest priority
+	 * request waiting if there is one
+	 *
+	 * @name _release
+	 * @access private
+	 * @return void
+	 */
+	_release() {
+
+		// If someone is waiting, give them the slot
+		if(this._waiting.length) {
+			this._waiting.shift().resolve();
+		}
+
+		// Else, free it
+		else {
+			--this._active;
+		}
+	}
+
+	/**
+	 * Request
+	 *
+	 * Handles actual requests by checking the network before sending, or storing
+	 * the request in the offline queue if we aren't connected
+	 *
+	 * @name _request
+	 * @access private
+	 * @param string method			The method used to send the request
+	 * @param string service		The name of the service to call
+	 * @param string noun			The noun to call on the service
+	 * @param object data			The data to send to the service
+	 * @param object opts			Optional flags that can be set
+	 *									batch: set to false to never send the
+	 *										request as part of a batch
+	 *									priority: 'high', 'normal', or 'low', when
+	 *										concurrency is limited, higher priority
+	 *										requests are sent first
+	 *									queue: override the global queue flag
+	 *									refresh: set to false to not attempt to
+	 *										refresh the session on a 401
+	 *									retry: false, or a policy to merge over the
+	 *										global retry policy
+	 *									session: set to false to not send the session
+	 *									signal: an AbortSignal to cancel the request
+	 *									timeout: override the global timeout
+	 *									_transfer: set by download and upload
+	 * @return Promise
+	 */
+	_request(method, service, noun, data, opts) {
+
+		// If the request was made in batch(), or we are batching everything
+		//	within a window, add it to the batch
+		if(opts.batch !== false &&
+			this._conf.batch.noun &&
+			(opts._batch || this._conf.batch.window)) {
+			return this._batchAdd(method, service, noun, data, opts);
+		}
+
+		// If middleware will answer the request itself, e.g. by replaying a
+		//	recording, send it whether we're connected or not
+		let oReq = {method: method, service: service, noun: noun, data: data};
+		if(this._middleware.some(f => f.handles && f.handles(oReq))) {
+			return this._send(method, service, noun, data, opts);
+		}
+
+		// Details for any errors
+		let oInfo = {method: method, service: service, noun: noun};
+
+		// Can this request be queued if we're offline
+		let bQueue = method !== 'GET' &&
+						('queue' in opts ? opts.queue : this._conf.queue);
+
+		// If there are requests waiting in the queue, and this one can be
+		//	queued, put it at the end so everything is sent in order
+		if(bQueue && this._queue.length) {
+			let sID = this._queueAdd(method, service, noun, data, opts);
+			this._queueFlush();
+			return Promise.reject({
+				_handled: false,
+				error: new RestError(ERROR_QUEUED, null, oInfo),
+				queued: sID
+			});
+		}
+
+		// Check network
+		return this._transport.network.fetch().then(state => {
+
+			// If we aren't connected
+			if(!state.isConnected) {
+				console.error('Not connected to internet');
+
+				// If we can queue the request, do so
+				if(bQueue) {
+					return Promise.reject({
+						_handled: false,
+						error: new RestError(ERROR_QUEUED, null, oInfo),
+						queued: this._queueAdd(method, service, noun, data, opts)
+					});
+				}
+
+				// Reject the request
+				return Promise.reject({
+					_handled: false,
+					error: new RestError(ERROR_OFFLINE, null, oInfo)
+				});
+			}
+
+			// Send the request
+			return this._send(method, service, noun, data, opts);
+		});
+	}
+
+	/**
+	 * Restore
+	 *
+	 * Loads the session stored by a previous launch of the app. Should be called,
+	 * and waited on, at startup before any requests that need the session
+	 *
+	 * @name restore
+	 * @access public
+	 * @return Promise
+	 */
+	restore() {
+
+		// Fetch the stored token
+		return this._secureGet('session').then(token => {
+
+			// If we got one, and the session wasn't set in the meantime
+			if(token && this._conf.session === null) {
+
+				// Store the session
+				this._conf.session = token;
+
+				// Let the app know
+				if(this._conf.session_changed) {
+					this._conf.session_changed(token);
+				}
+			}
+
+			// Return the current session
+			return this._conf.session;
+		});
+	}
+
+	/**
+	 * Retry Policy
+	 *
+	 * Generates the retry policy for a single request by merging the request's
+	 * retry option over the global one. A policy contains the following:
+	 *	attempts: the maximum number of times to send the request, 1 means no
+	 *		retries
+	 *	delay: milliseconds to wait before the first retry
+	 *	factor: the value the delay is multiplied by after each retry
+	 *	jitter: the fraction of each delay, 0 to 1, that is randomised so many
+	 *		clients don't retry at the same moment
+	 *	max: the maximum milliseconds to wait between attempts
+	 *	network: true to retry when the request never reached the service
+	 *	post: true to allow retrying POST (create) requests, which are not
+	 *		idempotent
+	 *	statuses: the list of HTTP statuses to retry on
+	 *
+	 * @name _retryPolicy
+	 * @access private
+	 * @param string method			The method used to send the request
+	 * @param object opts			The request options, retry can be false to
+	 *								disable retries, or an object of policy values
+	 * @return object
+	 */
+	_retryPolicy(method, opts) {
+
+		// Init the policy from the global one
+		let oPolicy = {...this._conf.retry};
+
+		// If the request has its own retry option
+		if('retry' in opts) {
+			if(opts.retry === false) {
+				oPolicy.attempts = 1;
+			} else if(typeof opts.retry === 'object') {
+				oPolicy = {...oPolicy, ...opts.retry};
+			}
+		}
+
+		// POST requests are only retried if the caller says it's safe
+		if(method === 'POST' && !oPolicy.post) {
+			oPolicy.attempts = 1;
+		}
+
+		// Return the policy
+		return oPolicy;
+	}
+
+	/**
+	 * Secure
+	 *
+	 * Returns the storage used for sensitive data, the session, and the
+	 * offline queue if secure_queue is set. The one passed to init, else the
+	 * transport's secure storage if it has one, else its regular storage.
+	 * Secure stores often limit the size of each value, so nothing that can
+	 * grow is kept in it unless asked for
+	 *
+	 * @name _secure
+	 * @access private
+	 * @return Object
+	 */
+	_secure() {
+		return this._conf.secure_storage ||
+				this._transport.secure ||
+				this._transport.storage;
+	}
+
+	/**
+	 * Secure Get
+	 *
+	 * Gets a value from the secure storage. If it isn't there, but the regular
+	 * storage has it, e.g. it was stored before secure storage was added, it
+	 * is moved to the secure storage
+	 *
+	 * @name _secureGet
+	 * @access private
+	 * @param string key			The data being fetched, e.g. 'session'
+	 * @return Promise
+	 */
+	_secureGet(key) {
+
+		// Get the storages and the key
+		let oSecure = this._secure();
+		let oStorage = this._transport.storage;
+		let sKey = this._storageKey(key);
+
+		// If there's no secure storage, just get the value
+		if(oSecure === oStorage) {
+			return oStorage.getItem(sKey);
+		}
+
+		// Look in the secure storage
+		return oSecure.getItem(sKey).then(s => {
+
+			// If we found it, we're done
+			if(s !== null && typeof s !== 'undefined') {
+				return s;
+			}
+
+			// Look in the regular storage, and if it's there, move it
+			return oStorage.getItem(sKey).then(sOld => {
+				if(sOld === null || typeof sOld === 'undefined') {
+					return null;
+				}
+				return oSecure.setItem(sKey, sOld).then(() =>
+					oStorage.removeItem(sKey)
+				).catch(error => {
+					console.error('Rest failed to move the stored ' + key + ' to secure storage:', error);
+				}).then(() => sOld);
+			});
+		});
+	}
+
+	/**
+	 * Secure Remove
+	 *
+	 * Removes a value from the secure storage, and from the regular storage in
+	 * case it was stored there before secure storage was added
+	 *
+	 * @name _secureRemove
+	 * @access private
+	 * @param string key			The data being removed, e.g. 'session'
+	 * @return void
+	 */
+	_secureRemove(key) {
+
+		// Get the storages and the key
+		let oSecure = this._secure();
+		let oStorage = this._transport.storage;
+		let sKey = this._storageKey(key);
+
+		// Remove it from both
+		Promise.resolve().then(() => Promise.all([
+			oSecure.removeItem(sKey),
+			oSecure === oStorage ? null : oStorage.removeItem(sKey)
+		])).catch(error => {
+			console.error('Rest failed to remove the stored ' + key + ':', error);
+		});
+	}
+
+	/**
+	 * Secure Set
+	 *
+	 * Stores a value in the secure storage, and removes any copy from the
+	 * regular storage so it can never be migrated over the new one
+	 *
+	 * @name _secureSet
+	 * @access private
+	 * @param string key			The data being stored, e.g. 'session'
+	 * @param string value			The value to store
+	 * @return void
+	 */
+	_secureSet(key, value) {
+
+		// Get the storages and the key
+		let oSecure = this._secure();
+		let oStorage = this._transport.storage;
+		let sKey = this._storageKey(key);
+
+		// Store it, and remove the old copy
+		Promise.resolve().then(() => Promise.all([
+			oSecure.setItem(sKey, value),
+			oSecure === oStorage ? null : oStorage.removeItem(sKey)
+		])).catch(error => {
+			console.error('Rest failed to store the ' + key + ':', error);
+		});
+	}
+
+	/**
+	 * Send
+	 *
+	 * Sends the request through the middleware to the service and returns the
+	 * result. Resolves with the data returned by the service, or a -1 error if
+	 * the response was not OK. Rejects if the request never reached the
+	 * service
+	 *
+	 * @name _send
+	 * @access private
+	 * @param string method			The method used to send the request
+	 * @param string service		The name of the service to call
+	 * @param string noun			The noun to call on the service
+	 * @param object data			The data to send to the service
+	 * @param object opts			Optional flags that can be set
+	 * @return Promise
+	 */
+	_send(method, service, noun, data, opts) {
+
+		// Init the request
+		let oReq = {
+			method: method,
+			service: service,
+			noun: noun,
+			url: this._conf.domain + service + '/' + noun,
+			headers: {
+				'Accept': 'application/json',
+				'Content-Type': 'application/json; charset=utf-8'
+			},
+			data: data,
+			opts: opts,
+			_stat: this._telemetryStart(method, service, noun)
+		}
+
+		// If we want to use the session
+		if(!('session' in opts) || opts['session']) {
+
+			// And it exists, add it to the headers
+			if(this._conf.session) {
+				oReq.headers.Authorization = this._conf.session;
+			}
+		}
+
+		// Get the list of middleware, with the old style callbacks last so
+		//	they see the request as it will be sent
+		let lMiddleware = [...this._middleware, this._hooks.bind(this)];
+
+		// Called to pass the request to the middleware at the given index, or
+		//	to the service once we've run out
+		let fNext = (i, req) => {
+			if(i === lMiddleware.length) {
+				return this._transmit(req);
+			}
+			return Promise.resolve().then(() =>
+				lMiddleware[i](req, r => fNext(i + 1, r || req))
+			);
+		}
+
+		// Run the request
+		let oStat = oReq._stat;
+		return fNext(0, oReq).then(oResult => {
+
+			// Make sure the result has the handled flag
+			if(oResult && typeof oResult === 'object' && !('_handled' in oResult)) {
+				oResult._handled = false;
+			}
+
+			// If the request changed data, remove any cached reads of the same
+			//	noun
+			if(method !== 'GET' && oResult && !oResult.error) {
+				this.cacheInvalidate(service, noun);
+			}
+
+			// Record the request
+			this._telemetryEnd(oStat, oResult);
+
+			// Return the result
+			return oResult;
+
+		}, res => {
+			this._telemetryEnd(oStat, res);
+			return Promise.reject(res);
+		});
+	}
+
+	/**
+	 * Session
+	 *
+	 * Set or get the session token
+	 *
+	 * @name session
+	 * @access public
+	 * @param string token			The token to store
+	 * @return void|str
+	 */
+	session(token) {
+
+		// If we are setting the session
+		if(typeof token !== 'undefined') {
+
+			// If null was passed, delete the session
+			if(token == null) {
+				this._clear();
+			}
+
+			// Else, set the session
+			else {
+
+				// If it replaces a different session, forget anything read
+				//	with the old one, and anything waiting to be sent with it
+				if(this._conf.session !== null && this._conf.session !== token) {
+					this._cacheClear();
+					this.queueClear();
+				}
+
+				// Store the session
+				this._sessionSet(token);
+			}
+		}
+
+		// Else we are returning the session
+		else {
+			return this._conf.session;
+		}
+	}
+
+	/**
+	 * Session Refresh
+	 *
+	 * Calls the refresh callback to get a new session token, making sure only
+	 * one refresh happens at a time no matter how many requests fail
+	 *
+	 * @name _sessionRefresh
+	 * @access private
+	 * @return Promise
+	 */
+	_sessionRefresh() {
+
+		// If we aren't already refreshing
+		if(this._refreshing === null) {
+
+			// Call the refresh callback
+			this._refreshing = Promise.resolve(this._conf.refresh()).then(token => {
+
+				// If we got a token, store it, keeping the cache as it's still
+				//	the same user
+				if(token) {
+					if(this._cacheOwner === hash(this._conf.session)) {
+						this._cacheOwner = hash(token);
+						this._cacheStore();
+					}
+					this._sessionSet(token);
+				}
+
+				// Return the token
+				return token || null;
+
+			}).finally(() => {
+				this._refreshing = null;
+			});
+		}
+
+		// Return the current refresh
+		return this._refreshing;
+	}
+
+	/**
+	 * Session Set
+	 *
+	 * Stores the session token and lets the app know it changed
+	 *
+	 * @name _sessionSet
+	 * @access private
+	 * @param string token			The token to store
+	 * @return void
+	 */
+	_sessionSet(token) {
+
+		// Store the session
+		this._conf.session = token;
+
+		// Set the session in a cookie
+		this._secureSet('session', token);
+
+		// Let the app know
+		if(this._conf.session_changed) {
+			this._conf.session_changed(token);
+		}
+	}
+
+	/**
+	 * Shared
+	 *
+	 * Makes a read request, or if an identical one is already waiting on a
+	 * response, waits on that one instead. Each caller gets their own copy of
+	 * the result, and can cancel without affecting the others
+	 *
+	 * @name _shared
+	 * @access private
+	 * @param string service		The name of the service to call
+	 * @param string noun			The noun to call on the service
+	 * @param object data			The data to send to the service
+	 * @param object opts			Optional flags that can be set
+	 * @return Promise
+	 */
+	_shared(service, noun, data, opts) {
+
+		// If we aren't deduping, just make the request
+		if(!('dedupe' in opts ? opts.dedupe : this._conf.dedupe)) {
+			return this._request('GET', service, noun, data, opts);
+		}
+
+		// Look for an existing request
+		let sKey = cacheKey(service, noun, data);
+		let oShared = this._inflight[sKey];
+
+		// If there isn't one
+		if(!oShared) {
+
+			// Create a controller for the shared request, as no one caller's
+			//	signal should cancel it for everyone
+			let {signal, ...oOpts} = opts;
+			let oController = new AbortController();
+
+			// Make the request
+			oShared = {
+				callers: 0,
+				controller: oController,
+				promise: this._request('GET', service, noun, data, {
+					...oOpts,
+					signal: oController.signal
+				})
+			};
+
+			// Store it, and remove it once it's done
+			this._inflight[sKey] = oShared;
+			let fDone = () => {
+				if(this._inflight[sKey] === oShared) {
+					delete this._inflight[sKey];
+				}
+			}
+			oShared.promise.then(fDone, fDone);
+		}
+
+		// Add the caller
+		++oShared.callers;
+
+		// Return a promise for this caller
+		return new Promise((resolve, reject) => {
+
+			// Called to finish the caller, only once
+			let bDone = false;
+			let fFinish = () => {
+				if(bDone) {
+					return false;
+				}
+				bDone = true;
+				--oShared.callers;
+				if(opts.signal) {
+					opts.signal.removeEventListener('abort', fAbort);
+				}
+				return true;
+			}
+
+			// Called if the caller cancels
+			let fAbort = () => {
+				if(fFinish()) {
+					reject({
+						_handled: false,
+						error: new RestError(ERROR_ABORTED, null, {
+							method: 'GET', service: service, noun: noun
+						})
+					});
+
+					// If no one else is waiting, cancel the shared request
+					if(oShared.callers === 0) {
+						oShared.controller.abort();
+					}
+				}
+			}
+
+			// If the caller has a signal, listen for it
+			if(opts.signal) {
+				if(opts.signal.aborted) {
+					return fAbort();
+				}
+				opts.signal.addEventListener('abort', fAbort);
+			}
+
+			// Pass the shared result on as a copy
+			oShared.promise.then(res => {
+				if(fFinish()) {
+					resolve(clone(res));
+				}
+			}, res => {
+				if(fFinish()) {
+					reject(clone(res));
+				}
+			});
+		});
+	}
+
+	/**
+	 * Slot
+	 *
+	 * Resolves once the request can be sent without going over the
+	 * concurrency limit. Requests waiting are sorted by priority, then by
+	 * the order they were made
+	 *
+	 * @name _slot
+	 * @access private
+	 * @param object opts			The request options, uses priority and signal
+	 * @return Promise
+	 */
+	_slot(opts) {
+
+		// If there's no limit, or we're under it, take a slot right away
+		if(!this._conf.concurrency ||
+			this._active < this._conf.concurrency) {
+			++this._active;
+			return Promise.resolve();
+		}
+
+		// Get the priority
+		let iPriority = PRIORITIES.normal;
+		if(opts.priority in PRIORITIES) {
+			iPriority = PRIORITIES[opts.priority];
+		} else if(typeof opts.priority === 'number') {
+			iPriority = opts.priority;
+		}
+
+		// Wait for a slot
+		return new Promise((resolve, reject) => {
+
+			// Init the waiting entry
+			let oWait = {
+				priority: iPriority,
+				resolve: () => {
+					if(opts.signal) {
+						opts.signal.removeEventListener('abort', fAbort);
+					}
+					resolve();
+				}
+			};
+
+			// If the request is cancelled while waiting, remove it
+			let fAbort = () => {
+				let i = this._waiting.indexOf(oWait);
+				if(i > -1) {
+					this._waiting.splice(i, 1);
+				}
+				reject({
+					_handled: false,
+					error: new RestError(ERROR_ABORTED)
+				});
+			}
+			if(opts.signal) {
+				if(opts.signal.aborted) {
+					return fAbort();
+				}
+				opts.signal.addEventListener('abort', fAbort);
+			}
+
+			// Add it after everything of the same or higher priority
+			let i = this._waiting.findIndex(o => o.priority < iPriority);
+			if(i === -1) {
+				this._waiting.push(oWait);
+			} else {
+				this._waiting.splice(i, 0, oWait);
+			}
+		});
+	}
+
+	/**
+	 * Storage Key
+	 *
+	 * Returns the key used to store the given data, unique to this client
+	 *
+	 * @name _storageKey
+	 * @access private
+	 * @param string key			The data being stored, e.g. 'session'
+	 * @return string
+	 */
+	_storageKey(key) {
+		return this._conf.name + '_' + key;
+	}
+
+	/**
+	 * Telemetry
+	 *
+	 * Adds a callback passed the details of every request once it finishes,
+	 * including cached reads. Each entry contains
+	 *	cached: true if the read was returned from the cache
+	 *	duration: the milliseconds from being called to finishing
+	 *	error: the error code, or null
+	 *	method, service, noun, url: the request
+	 *	request: the headers, with sensitive ones redacted, and the size of
+	 *		the body
+	 *	response: the size and Content-Type of the body
+	 *	retries: the number of times the request was retried
+	 *	started: the time the request was made, in milliseconds
+	 *	status: the HTTP status, or null if there wasn't one
+	 *	timings: the milliseconds spent blocked waiting for a slot
+	 *
+	 * @name telemetry
+	 * @access public
+	 * @param function callback		The callback
+	 * @return function				Call to remove the callback
+	 */
+	telemetry(callback) {
+		this._telemetryListeners.push(callback);
+		return () => {
+			let i = this._telemetryListeners.indexOf(callback);
+			if(i > -1) {
+				this._telemetryListeners.splice(i, 1);
+			}
+		}
+	}
+
+	/**
+	 * Telemetry Clear
+	 *
+	 * Removes all the recent requests kept
+	 *
+	 * @name telemetryClear
+	 * @access public
+	 * @return void
+	 */
+	telemetryClear() {
+		this._telemetry = [];
+	}
+
+	/**
+	 * Telemetry End
+	 *
+	 * Finishes the entry for a request, keeps it with the recent ones, and
+	 * passes it to the callbacks
+	 *
+	 * @name _telemetryEnd
+	 * @access private
+	 * @param Object entry			The entry from _telemetryStart
+	 * @param Object result			The result of the request
+	 * @return void
+	 */
+	_telemetryEnd(entry, result) {
+
+		// Finish the entry
+		entry.duration = Date.now() - entry.started;
+		if(result && result.error) {
+			entry.error = result.error.code;
+			if(entry.status === null && result.error.status) {
+				entry.status = result.error.status;
+			}
+		}
+
+		// Keep it, dropping the oldest if we have too many
+		let iSize = this._conf.telemetry.size;
+		if(iSize) {
+			this._telemetry.push(entry);
+			if(this._telemetry.length > iSize) {
+				this._telemetry.splice(0, this._telemetry.length - iSize);
+			}
+		}
+
+		// Notify the callbacks
+		for(let f of [...this._telemetryListeners]) {
+			try {
+				f(clone(entry));
+			} catch(error) {
+				console.error('Rest telemetry callback failed:', error);
+			}
+		}
+	}
+
+	/**
+	 * Telemetry Entries
+	 *
+	 * Returns copies of the recent requests kept, oldest first, see telemetry
+	 *
+	 * @name telemetryEntries
+	 * @access public
+	 * @return Object[]
+	 */
+	telemetryEntries() {
+		return clone(this._telemetry);
+	}
+
+	/**
+	 * Telemetry HAR
+	 *
+	 * Returns the recent requests kept in the HAR format, so they can be saved
+	 * as a .har file and attached to bug reports. Only the sizes of bodies are
+	 * kept, never their contents
+	 *
+	 * @name telemetryHar
+	 * @access public
+	 * @return Object
+	 */
+	telemetryHar() {
+		return {
+			log: {
+				version: '1.2',
+				creator: {name: 'ouroboros rest', version: '1.0'},
+				entries: this._telemetry.map(o => ({
+					startedDateTime: new Date(o.started).toISOString(),
+					time: o.duration,
+					request: {
+						method: o.method,
+						url: o.url,
+						httpVersion: 'HTTP/1.1',
+						cookies: [],
+						headers: Object.entries(o.request.headers).map(
+							([k, v]) => ({name: k, value: String(v)})
+						),
+						queryString: [],
+						headersSize: -1,
+						bodySize: o.request.size === null ? -1 : o.request.size
+					},
+					response: {
+						status: o.status || 0,
+						statusText: '',
+						httpVersion: 'HTTP/1.1',
+						cookies: [],
+						headers: [],
+						content: {
+							size: o.response.size === null ? -1 : o.response.size,
+							mimeType: o.response.type || ''
+						},
+						redirectURL: '',
+						headersSize: -1,
+						bodySize: o.response.size === null ? -1 : o.response.size
+					},
+					cache: {},
+					timings: {
+						blocked: o.timings.blocked,
+						send: 0,
+						wait: o.duration - o.timings.blocked,
+						receive: 0
+					},
+					_cached: o.cached,
+					_error: o.error,
+					_noun: o.noun,
+					_retries: o.retries,
+					_service: o.service
+				}))
+			}
+		};
+	}
+
+	/**
+	 * Telemetry Start
+	 *
+	 * Returns a new entry for a request
+	 *
+	 * @name _telemetryStart
+	 * @access private
+	 * @param string method			The method used to send the request
+	 * @param string service		The name of the service to call
+	 * @param string noun			The noun to call on the service
+	 * @return Object
+	 */
+	_telemetryStart(method, service, noun) {
+		return {
+			cached: false,
+			duration: 0,
+			error: null,
+			method: method,
+			service: service,
+			noun: noun,
+			url: this._conf.domain + service + '/' + noun,
+			request: {headers: {}, size: 0},
+			response: {size: null, type: null},
+			retries: 0,
+			started: Date.now(),
+			status: null,
+			timings: {blocked: 0}
+		};
+	}
+
+	/**
+	 * To Tree
+	 *
+	 * Converts array of rest field errors into a tree, see toTree
+	 *
+	 * @name toTree
+	 * @access public
+	 * @param Array errors The list of errors
+	 * @return Object
+	 */
+	toTree(errors) {
+		return toTree(errors);
+	}
+
+	/**
+	 * Transmit
+	 *
+	 * Sends the request through the transport, retrying, refreshing the
+	 * session, and handling cancellation as necessary. This is the end of the
+	 * middleware chain
+	 *
+	 * @name _transmit
+	 * @access private
+	 * @param Object req			The request, see use
+	 * @return Promise
+	 */
+	_transmit(req) {
+
+		// Pull out the request parts
+		let {method, service, noun, data, opts} = req;
+
+		// Generate the URL
+		let url = requestUrl(req);
+
+		// Details for any errors
+		let oInfo = {method: method, service: service, noun: noun, url: url};
+
+		// Init the options
+		let oOpts = {
+			method: method,
+			headers: {...req.headers}
+		}
+
+		// Get the transfer settings if this is an upload or download
+		let oTransfer = opts._transfer || null;
+		if(oTransfer) {
+			oOpts.headers.Accept = '*/*';
+			Object.assign(oOpts.headers, oTransfer.headers);
+		}
+
+		// If it's an upload of raw data, send it as is
+		if(oTransfer && method !== 'GET' && isBinary(data)) {
+			oOpts.headers['Content-Type'] = oTransfer.type ||
+											data.type ||
+											'application/octet-stream';
+			oOpts.body = data;
+		}
+
+		// Else, if it's any other upload, send it as form data, leaving the
+		//	content type to be set with the boundary
+		else if(oTransfer && method !== 'GET') {
+			delete oOpts.headers['Content-Type'];
+			oOpts.body = formData(data);
+		}
+
+		// Else, if it's not a GET request, send the data in the body
+		else if(method !== 'GET') {
+			oOpts.body = JSON.stringify(data);
+		}
+
+		// Else, if the URL is too long for some proxies to handle, send the
+		//	data in the body of a POST, and let the service know it's really a
+		//	GET
+		else if(this._conf.max_url && url.length > this._conf.max_url) {
+			url = req.url;
+			oOpts.method = 'POST';
+			oOpts.headers['X-HTTP-Method-Override'] = 'GET';
+			oOpts.body = JSON.stringify(data);
+		}
+
+		// Record what we're sending
+		let oStat = req._stat || this._telemetryStart(method, service, noun);
+		oStat.url = url;
+		oStat.request = {
+			headers: redact(oOpts.headers, this._conf.telemetry.redact),
+			size: bodySize(oOpts.body)
+		};
+
+		// Create a controller so the request can be cancelled either by the
+		//	caller or by the timeout
+		let oController = new AbortController();
+		oOpts.signal = oController.signal;
+
+		// If the caller passed a signal, cancel the request when it is
+		let fAbort = () => oController.abort();
+		if(opts.signal) {
+			if(opts.signal.aborted) {
+				oController.abort();
+			} else {
+				opts.signal.addEventListener('abort', fAbort);
+			}
+		}
+
+		// If we have a timeout, cancel the request when it runs out
+		let bTimedOut = false;
+		let iTimeout = 'timeout' in opts ? opts.timeout : this._conf.timeout;
+		let iTimer = iTimeout ? setTimeout(() => {
+			bTimedOut = true;
+			oController.abort();
+		}, iTimeout) : null;
+
+		// Get the retry policy
+		let oPolicy = this._retryPolicy(method, opts);
+
+		// Called to wait for a slot, and to free it once we're done, or while
+		//	we wait on a session refresh, so the requests made by the refresh
+		//	can get one. Waiting counts towards the timeout
+		let bSlot = false;
+		let fSlot = () => {
+			let iWaited = Date.now();
+			return this._slot({
+				priority: opts.priority,
+				signal: oController.signal
+			}).then(() => {
+				bSlot = true;
+				oStat.timings.blocked += Date.now() - iWaited;
+			});
+		}
+		let fFree = () => {
+			if(bSlot) {
+				bSlot = false;
+				this._release();
+			}
+		}
+
+		// Called to fetch the request through the transport, or through an
+		//	XMLHttpRequest if we need the progress of a transfer and the
+		//	transport can make one. Every call after the first is a retry
+		let iCalls = 0;
+		let fFetch = (u, o) => {
+			oStat.retries = iCalls++;
+			if(oTransfer && oTransfer.progress && this._transport.xhr) {
+				return xhrFetch(
+					this._transport.xhr(), u, o,
+					(method === 'GET' && oTransfer.as) || 'text',
+					oTransfer.progress
+				);
+			}
+			return this._transport.fetch(u, o, {
+				method: method,
+				service: service,
+				noun: noun,
+				data: data
+			});
+		}
+
+		// Wait for a slot, then call fetch, retrying if necessary
+		return fSlot().then(() =>
+			fetchRetry(fFetch, url, oOpts, oPolicy)
+		).then(response => {
+
+			// If the session was rejected, and we can try to refresh it
+			if(response.status === 401 &&
+				oOpts.headers.Authorization &&
+				this._conf.refresh &&
+				opts.refresh !== false) {
+
+				// Free our slot and get a new token
+				fFree();
+				return this._sessionRefresh().then(token => {
+
+					// If we didn't get one, return the original response
+					if(!token) {
+						return response;
+					}
+
+					// Send the request once more with the new token
+					oOpts.headers.Authorization = token;
+					return fSlot().then(() =>
+						fetchRetry(fFetch, url, oOpts, oPolicy)
+					);
+
+				}, error => {
+					console.error('Rest session refresh failed:', error);
+					return response;
+				});
+			}
+
+			// Return the response as is
+			return response;
+
+		}).then(response => {
+
+			// Record what we got back, allowing for transports that don't
+			//	return headers
+			let fHeader = k => response.headers ? response.headers.get(k) : null;
+			let iLength = parseInt(fHeader('Content-Length'), 10);
+			oStat.status = response.status;
+			oStat.response = {
+				size: isNaN(iLength) ? null : iLength,
+				type: fHeader('Content-Type')
+			};
+
+			// If the response is not ok
+			if(!response.ok) {
+				console.error(method + ' ' + url + ' not OK: ' + response.status);
+
+				// If the status is 401, the session is no longer valid
+				if(response.status === 401) {
+					let bHadSession = this._conf.session !== null;
+					this._clear();
+					if(bHadSession && this._conf.session_expired) {
+						this._conf.session_expired();
+					}
+				}
+
+				// See if the service sent back an error, and resolve with it,
+				//	or a generic one
+				return response.json().catch(() => null).then(oBody => {
+					oInfo.status = response.status;
+					return {
+						_handled: false,
+						error: (oBody && oBody.error) ?
+							new RestError(oBody.error.code, oBody.error.msg, oInfo) :
+							new RestError(ERROR_NOT_OK, response.statusText || null, oInfo)
+					};
+				});
+			}
+
+			// If it's a download, return the body as requested
+			if(oTransfer && method === 'GET') {
+				return response[{
+					arraybuffer: 'arrayBuffer',
+					blob: 'blob',
+					text: 'text'
+				}[oTransfer.as]]().then(mBody => {
+					if(oStat.response.size === null) {
+						oStat.response.size = bodySize(mBody);
+					}
+					return {
+						_handled: false,
+						data: mBody,
+						type: fHeader('Content-Type')
+					};
+				});
+			}
+
+			// Get the JSON
+			return response.json().then(oResult => {
+
+				// If we don't know the size, use the size of the JSON
+				if(oStat.response.size === null) {
+					oStat.response.size = JSON.stringify(oResult).length;
+				}
+
+				// If the service returned an error, make it a RestError
+				if(oResult.error) {
+					oInfo.status = response.status;
+					oResult.error = new RestError(
+						oResult.error.code, oResult.error.msg, oInfo
+					);
+				}
+
+				// Add the handled flag
+				oResult._handled = false;
+
+				// Return the result
+				return oResult;
+			});
+
+		}).catch(error => {
+
+			// If the request was cancelled by the caller, there's nothing to
+			//	report
+			if(oController.signal.aborted && !bTimedOut) {
+				return Promise.reject({
+					_handled: false,
+					error: new RestError(ERROR_ABORTED, null, oInfo)
+				});
+			}
+
+			// If the request timed out
+			if(bTimedOut) {
+				console.error(method + ' ' + url + ' timed out after ' + iTimeout + 'ms');
+				error = new Error('Timed out');
+			}
+
+			// Else, it's an error with the request itself
+			else {
+				console.error(method + ' ' + url + ' error:', error);
+			}
+
+			// Return the error to the error callback if there is one
+			if(this._conf.error) {
+				this._conf.error(error);
+			}
+
+			// Reject as error
+			return Promise.reject({
+				_handled: false,
+				error: new RestError(
+					bTimedOut ? ERROR_TIMEOUT : ERROR_NOT_OK,
+					error.message,
+					{...oInfo, cause: error}
+				)
+			});
+
+		}).finally(() => {
+
+			// Free the slot, and clean up the timer and the caller's signal
+			fFree();
+			if(iTimer) {
+				clearTimeout(iTimer);
+			}
+			if(opts.signal) {
+				opts.signal.removeEventListener('abort', fAbort);
+			}
+		});
+	}
+
+	/**
+	 * Update
+	 *
+	 * Calls the update action on a specific service noune
+	 *
+	 * @name update
+	 * @access public
+	 * @param string service		The name of the service to call
+	 * @param string noun			The noun to call on the service
+	 * @param object data			The data to send to the service
+	 * @param object opts			Optional flags that can be set
+	 * @return xhr
+	 */
+	update(service, noun, data, opts={}) {
+		return this._present(
+			this._request('PUT', service, noun, data, opts)
+		);
+	}
+
+	/**
+	 * Upload
+	 *
+	 * Sends a file, or files, to the service noun. Objects and FormData are
+	 * sent as multipart form data, Blobs, ArrayBuffers, typed arrays, and
+	 * strings are sent as the raw body. Uploads are never batched or queued
+	 *
+	 * @name upload
+	 * @access public
+	 * @param string service		The name of the service to call
+	 * @param string noun			The noun to call on the service
+	 * @param mixed body			The fields or the raw data to send
+	 * @param object opts			Optional flags that can be set
+	 *									headers: extra headers to send
+	 *									method: 'POST' or 'PUT', defaults to
+	 *										'POST'
+	 *									progress: called with the bytes sent and
+	 *										the total, or null if unknown
+	 *									type: the Content-Type of a raw body,
+	 *										defaults to the Blob's type, or
+	 *										application/octet-stream
+	 * @return Promise
+	 */
+	upload(service, noun, body, opts={}) {
+		return this._present(this._upload(service, noun, body, opts));
+	}
+
+	/**
+	 * Upload (private)
+	 *
+	 * Sends the upload without presenting any errors
+	 *
+	 * @name _upload
+	 * @access private
+	 * @param string service		The name of the service to call
+	 * @param string noun			The noun to call on the service
+	 * @param mixed body			The fields or the raw data to send
+	 * @param object opts			Optional flags that can be set, see upload
+	 * @return Promise
+	 */
+	_upload(service, noun, body, opts) {
+		let { headers, method, progress, type, ...oOpts } = opts;
+		return this._request(method || 'POST', service, noun, body, {
+			...oOpts,
+			batch: false,
+			queue: false,
+			_transfer: {
+				headers: headers || {},
+				progress: progress || null,
+				type: type || null
+			}
+		});
+	}
+
+	/**
+	 * Upload Chunked
+	 *
+	 * Sends a large Blob to the service noun in pieces so that a failed upload
+	 * can be resumed from the last piece received. The upload is started with
+	 * a create, which returns its ID, then each piece is sent with an update
+	 * with Content-Range and X-Upload-ID headers, each returning the offset
+	 * the service expects next. Resuming reads the offset for the ID. On
+	 * failure the result includes the ID as upload so it can be resumed
+	 *
+	 * @name uploadChunked
+	 * @access public
+	 * @param string service		The name of the service to call
+	 * @param string noun			The noun to call on the service
+	 * @param Blob file				The file to send
+	 * @param object opts			Optional flags that can be set
+	 *									chunk: the size of each piece in bytes,
+	 *										defaults to 1MB
+	 *									id: the ID of an upload to resume
+	 *									name: the name of the file
+	 *									progress: called with the bytes sent and
+	 *										the total
+	 *									started: called with the ID once the
+	 *										upload is started, so it can be stored
+	 *										to resume later
+	 *									type: the Content-Type of the file
+	 * @return Promise
+	 */
+	uploadChunked(service, noun, file, opts={}) {
+
+		// Pull out the settings
+		let { chunk, id, name, progress, started, type, ...oOpts } = opts;
+		let iChunk = chunk || 1048576;
+		let sType = type || file.type || 'application/octet-stream';
+
+		// Called to add the upload ID to a failed result
+		let fFailed = res => {
+			if(id && res && typeof res === 'object' && res.error) {
+				res.upload = id;
+			}
+			return res;
+		}
+
+		// Called to send the piece at the offset, and then the next, until the
+		//	service has the whole file
+		let fNext = offset => {
+
+			// Get the piece
+			let iEnd = Math.min(offset + iChunk, file.size);
+
+			// Send it
+			return this._upload(service, noun, file.slice(offset, iEnd), {
+				...oOpts,
+				headers: {
+					'Content-Range': 'bytes ' + offset + '-' + (iEnd - 1) + '/' + file.size,
+					'X-Upload-ID': id
+				},
+				method: 'PUT',
+				progress: progress ? (sent => progress(offset + sent, file.size)) : null,
+				type: sType
+			}).then(res => {
+
+				// If we got an error, or the service has everything, we're done
+				if(res.error || !res.data ||
+					typeof res.data.offset !== 'number' ||
+					res.data.offset >= file.size) {
+					return res;
+				}
+
+				// Send the next piece from wherever the service says
+				return fNext(res.data.offset);
+			});
+		}
+
+		// Start the upload, or find out where the one we're resuming left off
+		let oStart = id ?
+			this._request('GET', service, noun, {id: id}, {...oOpts, batch: false}) :
+			this._request('POST', service, noun, {
+				name: name || null,
+				size: file.size,
+				type: sType
+			}, {...oOpts, batch: false, queue: false});
+
+		// Send the pieces
+		return this._present(oStart.then(res => {
+
+			// If we couldn't start, or resume
+			if(res.error) {
+				return res;
+			}
+
+			// If the service didn't give us an ID to start with, or an offset
+			//	to resume from, we can't go on
+			if(id ? (!res.data || typeof res.data.offset !== 'number') : !res.data) {
+				return {
+					_handled: false,
+					error: new RestError(
+						ERROR_NOT_OK,
+						id ? 'Missing upload offset' : 'Missing upload ID',
+						{method: id ? 'GET' : 'POST', service: service, noun: noun}
+					)
+				};
+			}
+
+			// If we're starting, store and pass along the ID
+			let iOffset = 0;
+			if(!id) {
+				id = res.data;
+				if(started) {
+					started(id);
+				}
+			} else {
+				iOffset = res.data.offset;
+			}
+
+			// If the service already has everything, we're done
+			if(iOffset >= file.size) {
+				return res;
+			}
+
+			// Send the pieces
+			return fNext(iOffset);
+
+		}).then(fFailed, res => Promise.reject(fFailed(res))));
+	}
+
+	/**
+	 * Use
+	 *
+	 * Adds middleware to the end of the chain every request passes through.
+	 * Middleware is a function passed the request and a next function, and
+	 * must return a Promise that resolves with the result. The request is an
+	 * object with the following, any of which can be changed before calling
+	 * next
+	 *	method: the HTTP method
+	 *	service: the name of the service
+	 *	noun: the noun on the service
+	 *	url: the URL of the service/noun, without the GET query
+	 *	headers: the headers to send
+	 *	data: the data to send
+	 *	opts: the options passed by the caller
+	 * next(req) passes the request to the next middleware, or to the service,
+	 * and returns a Promise of the result. Not calling next skips the service
+	 * entirely, and whatever the middleware resolves with is returned to the
+	 * caller. Middleware that answers requests itself can have a handles
+	 * function, passed the method, service, noun, and data, that returns true
+	 * for the requests it will answer, so they're passed to it even with no
+	 * connection, instead of failing or being queued
+	 *
+	 * @name use
+	 * @access public
+	 * @param function middleware	The middleware to add
+	 * @return function				Call to remove the middleware
+	 */
+	use(middleware) {
+
+		// Add the middleware
+		this._middleware.push(middleware);
+
+		// Return a function to remove it
+		return () => {
+			let i = this._middleware.indexOf(middleware);
+			if(i > -1) {
+				this._middleware.splice(i, 1);
+			}
+		}
+	}
+}
+
+/**
+ * Create Client
+ *
+ * Creates and initialises a new, independent, rest client. If no name is
+ * passed, the domain is used so the client never shares stored data with the
+ * default instance
+ *
+ * @name createClient
+ * @access public
+ * @param string domain		The domain rest services can be reached through
+ * @param Object opts		Settings, see RestClient.init, plus the required
+ *							transport, see RestClient.constructor
+ * @return RestClient
+ */
+export function createClient(domain, opts) {
+
+	// Pull out the transport
+	let {transport, ...oOpts} = opts;
+	if(!transport) {
+		throw new Error('createClient requires a transport');
+	}
+
+	// If we have no name, use the domain
+	if(!oOpts.name) {
+		oOpts.name = domain;
+	}
+
+	// Create the client, init it, and return it
+	let oClient = new RestClient(transport);
+	oClient.init(domain, oOpts);
+	return oClient;
+}
+
+/**
+ * To Tree
+ *
+ * Converts array of rest field errors into a tree
+ *
+ * @name toTree
+ * @access public
+ * @param Array errors The list of errors
+ * @return Object
+ */
+export function toTree(errors) {
+
+	// Init the return
+	let oRet = {}
+
+	// Go through each error
+	for(let i = 0; i < errors.length; ++i) {
+
+		// If the error field has a period
+		if(errors[i][0].includes('.')) {
+
+			// Split it
+			let lField = errors[i][0].split(/\.(.*)/)
+
+			// If we don't have the field already
+			if(!oRet[lField[0]]) {
+				oRet[lField[0]] = []
+			}
+
+			// Add the rest
+			oRet[lField[0]].push([lField[1], errors[i][1]]);
+		}
+
+		// Else it's a flat field
+		else {
+			if(errors[i][1] === 'is not a string') {
+				errors[i][1] = 'missing';
+			}
+			oRet[errors[i][0]] = errors[i][1];
+		}
+	}
+
+	// Go through all the errors we found
+	for(let k in oRet) {
+
+		// If we find an array
+		if(Array.isArray(oRet[k])) {
+
+			// Recurse
+			oRet[k] = toTree(oRet[k]);
+		}
+	}
+
+	// Return the Tree
+	return oRet;
+}
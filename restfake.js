@@ -0,0 +1,433 @@
+/**
+ * Rest Fake
+ *
+ * An in-memory backend for testing code that uses rest, without a device or a
+ * network. Handlers are registered per action, service, and noun, and clients
+ * created from it send all their requests to those handlers
+ *
+ * @author Chris Nasr <chris@ouroboroscoding.com>
+ * @copyright Ouroboros Coding Inc.
+ * @created 2026-10-19
+ */
+
+// NPM imports
+import { clone } from '@ouroboros/tools';
+
+// Local imports
+import { createClient } from './restclient.js';
+
+// The HTTP methods for each action
+const METHODS = {
+	create: 'POST',
+	delete: 'DELETE',
+	read: 'GET',
+	update: 'PUT'
+};
+
+/**
+ * Copy
+ *
+ * Returns a copy of the data sent, uploads like FormData and Blobs are
+ * returned as is
+ *
+ * @name copy
+ * @access private
+ * @param mixed data			The data to copy
+ * @return mixed
+ */
+function copy(data) {
+	return (data && typeof data === 'object' && !Array.isArray(data) &&
+			Object.getPrototypeOf(data) !== Object.prototype) ?
+		data : clone(data);
+}
+
+/**
+ * Response
+ *
+ * Returned by a handler to send something other than a 200 with a JSON body
+ *
+ * @name response
+ * @access public
+ * @param uint status			The HTTP status to return
+ * @param mixed body			Optional, the data to return as JSON, or a
+ *								string or Blob to return as is for downloads
+ * @param Object headers		Optional, the headers to return
+ * @return Object
+ */
+export function response(status, body=null, headers={}) {
+	return {
+		_fake: true,
+		status: status,
+		body: body,
+		headers: headers
+	};
+}
+
+/**
+ * Rest Fake
+ *
+ * Keeps track of handlers, the network state, and all calls made
+ *
+ * @name RestFake
+ * @access public
+ */
+export class RestFake {
+
+	/**
+	 * Constructor
+	 *
+	 * Initialises the instance data
+	 *
+	 * @name RestFake
+	 * @access public
+	 * @return RestFake
+	 */
+	constructor() {
+
+		// The calls made
+		this._calls = [];
+
+		// Whether we're online or not
+		this._connected = true;
+
+		// Handlers by method, then service/noun
+		this._handlers = {};
+
+		// Milliseconds to wait before responding
+		this._latency = 0;
+
+		// Callbacks for network changes
+		this._listeners = [];
+
+		// Stored values
+		this._store = {};
+
+		// Valid session tokens, null for any
+		this._tokens = null;
+
+		// The transport passed to clients
+		this.transport = {
+			fetch: this._fetch.bind(this),
+			network: {
+				addEventListener: this._listen.bind(this),
+				fetch: () => Promise.resolve({isConnected: this._connected})
+			},
+			storage: {
+				getItem: k => Promise.resolve(k in this._store ? this._store[k] : null),
+				removeItem: k => { delete this._store[k]; return Promise.resolve(); },
+				setItem: (k, v) => { this._store[k] = v; return Promise.resolve(); }
+			}
+		};
+	}
+
+	/**
+	 * Blob
+	 *
+	 * Returns the body of a response as a Blob
+	 *
+	 * @name _blob
+	 * @access private
+	 * @param mixed body			The body returned by the handler
+	 * @return Blob
+	 */
+	_blob(body) {
+		if(body instanceof Blob) {
+			return body;
+		}
+		return new Blob([typeof body === 'string' ? body : JSON.stringify(body)]);
+	}
+
+	/**
+	 * Fetch
+	 *
+	 * Works like the global fetch but passes the request to the registered
+	 * handler
+	 *
+	 * @name _fetch
+	 * @access private
+	 * @param string url			The full URL of the request
+	 * @param Object opts			The fetch options
+	 * @param Object request		The method, service, noun, and data
+	 * @return Promise
+	 */
+	_fetch(url, opts, request) {
+
+		// Store the call
+		let oCall = {
+			method: request.method,
+			service: request.service,
+			noun: request.noun,
+			data: copy(request.data),
+			headers: {...opts.headers},
+			url: url
+		};
+		this._calls.push(oCall);
+
+		// Called if the request is cancelled, set once we start waiting
+		let fAbort = null;
+
+		// Create a new promise
+		let oPromise = new Promise((resolve, reject) => {
+
+			// Called to generate the response once any latency has passed
+			let fRespond = () => {
+
+				// If we're offline
+				if(!this._connected) {
+					return reject(new TypeError('Network request failed'));
+				}
+
+				// If we are checking tokens, and the token sent isn't valid
+				if(this._tokens !== null &&
+					oCall.headers.Authorization &&
+					!this._tokens.includes(oCall.headers.Authorization)) {
+					return resolve(this._response(response(401)));
+				}
+
+				// Find the handler
+				let sKey = request.service + '/' + request.noun;
+				let oMethod = this._handlers[request.method];
+				if(!oMethod || !(sKey in oMethod)) {
+					return resolve(this._response(response(404)));
+				}
+
+				// Call it and return what it does
+				Promise.resolve().then(() =>
+					oMethod[sKey](copy(request.data), oCall)
+				).then(res => {
+					resolve(this._response(res));
+				}, reject);
+			}
+
+			// If the request is cancelled, stop waiting and reject, even if the
+			//	handler is still running
+			fAbort = () => {
+				clearTimeout(iTimer);
+				let oError = new Error('Aborted');
+				oError.name = 'AbortError';
+				reject(oError);
+			}
+
+			// Wait for the latency
+			let iTimer = setTimeout(fRespond, this._latency);
+
+			// If we have a signal, listen for it
+			if(opts.signal) {
+				if(opts.signal.aborted) {
+					fAbort();
+				} else {
+					opts.signal.addEventListener('abort', fAbort);
+				}
+			}
+		});
+
+		// Once it's done, stop listening for the abort
+		if(opts.signal) {
+			let fStop = () => opts.signal.removeEventListener('abort', fAbort);
+			oPromise.then(fStop, fStop);
+		}
+
+		// Return the promise
+		return oPromise;
+	}
+
+	/**
+	 * Listen
+	 *
+	 * Works like NetInfo.addEventListener
+	 *
+	 * @name _listen
+	 * @access private
+	 * @param function callback		Called with the state on network changes
+	 * @return function
+	 */
+	_listen(callback) {
+		this._listeners.push(callback);
+		return () => {
+			let i = this._listeners.indexOf(callback);
+			if(i > -1) {
+				this._listeners.splice(i, 1);
+			}
+		}
+	}
+
+	/**
+	 * Response
+	 *
+	 * Converts what a handler returned into something that works like a fetch
+	 * Response
+	 *
+	 * @name _response
+	 * @access private
+	 * @param mixed res				The value returned by the handler
+	 * @return Object
+	 */
+	_response(res) {
+
+		// If it's not already a response, make it a 200
+		if(!res || res._fake !== true) {
+			res = response(200, res);
+		}
+
+		// Return the fake Response
+		return {
+			ok: res.status >= 200 && res.status < 300,
+			status: res.status,
+			headers: {
+				get: k => k in res.headers ? res.headers[k] : null
+			},
+			arrayBuffer: () => this._blob(res.body).arrayBuffer(),
+			blob: () => Promise.resolve(this._blob(res.body)),
+			json: () => Promise.resolve(clone(res.body)),
+			text: () => this._blob(res.body).text()
+		};
+	}
+
+	/**
+	 * Calls
+	 *
+	 * Returns the calls made, optionally only those to a specific service and
+	 * noun
+	 *
+	 * @name calls
+	 * @access public
+	 * @param string service		Optional, the service to filter by
+	 * @param string noun			Optional, the noun to filter by
+	 * @return Object[]
+	 */
+	calls(service=null, noun=null) {
+		return this._calls.filter(o =>
+			(service === null || o.service === service) &&
+			(noun === null || o.noun === noun)
+		).map(o => clone(o));
+	}
+
+	/**
+	 * Client
+	 *
+	 * Creates a new rest client that sends all its requests to the fake
+	 *
+	 * @name client
+	 * @access public
+	 * @param Object opts			Optional settings, see RestClient.init
+	 * @return RestClient
+	 */
+	client(opts={}) {
+		return createClient('http://fake', {...opts, transport: this.transport});
+	}
+
+	/**
+	 * Latency
+	 *
+	 * Sets the milliseconds to wait before each response
+	 *
+	 * @name latency
+	 * @access public
+	 * @param uint ms				The milliseconds to wait
+	 * @return void
+	 */
+	latency(ms) {
+		this._latency = ms;
+	}
+
+	/**
+	 * Offline
+	 *
+	 * Sets whether the network is down and notifies any listeners
+	 *
+	 * @name offline
+	 * @access public
+	 * @param bool flag				true to go offline, false to come back
+	 * @return void
+	 */
+	offline(flag=true) {
+
+		// If nothing changed, do nothing
+		if(this._connected === !flag) {
+			return;
+		}
+
+		// Store the new state and notify
+		this._connected = !flag;
+		for(let f of this._listeners) {
+			f({isConnected: this._connected});
+		}
+	}
+
+	/**
+	 * On
+	 *
+	 * Registers the handler for an action on a service/noun. The handler is
+	 * passed the data and the full call, and returns, or resolves with, the
+	 * body to send back as JSON, or a response() for any other status.
+	 * Throwing, or rejecting, acts like a failed network request
+	 *
+	 * @name on
+	 * @access public
+	 * @param string action			'create', 'delete', 'read', or 'update'
+	 * @param string service		The name of the service
+	 * @param string noun			The noun on the service
+	 * @param function handler		The handler
+	 * @return void
+	 */
+	on(action, service, noun, handler) {
+
+		// Get the method
+		let sMethod = action in METHODS ? METHODS[action] : action;
+
+		// Store the handler
+		if(!(sMethod in this._handlers)) {
+			this._handlers[sMethod] = {};
+		}
+		this._handlers[sMethod][service + '/' + noun] = handler;
+	}
+
+	/**
+	 * Reset
+	 *
+	 * Removes all handlers, calls, and stored values, and goes back online
+	 *
+	 * @name reset
+	 * @access public
+	 * @return void
+	 */
+	reset() {
+		this._calls = [];
+		this._handlers = {};
+		this._latency = 0;
+		this._store = {};
+		this._tokens = null;
+		this.offline(false);
+	}
+
+	/**
+	 * Storage
+	 *
+	 * Returns a copy of everything the clients have stored
+	 *
+	 * @name storage
+	 * @access public
+	 * @return Object
+	 */
+	storage() {
+		return {...this._store};
+	}
+
+	/**
+	 * Tokens
+	 *
+	 * Sets the session tokens considered valid, any request sent with another
+	 * gets a 401. Pass null to accept any token
+	 *
+	 * @name tokens
+	 * @access public
+	 * @param string[] list			The valid tokens
+	 * @return void
+	 */
+	tokens(list) {
+		this._tokens = list;
+	}
+}
+
+// Default export
+export default RestFake;
\ No newline at end of file
@@ -0,0 +1,462 @@
+/**
+ * Rest Pager
+ *
+ * Reads a list from a rest service one page at a time, keeping track of the
+ * offset or cursor, whether there is more, and all the items read so far
+ *
+ * @author Chris Nasr <chris@ouroboroscoding.com>
+ * @copyright Ouroboros Coding Inc.
+ * @created 2026-10-19
+ */
+
+// Local imports
+import { ERROR_NOT_OK, RestError } from './restclient.js';
+
+/**
+ * Parse
+ *
+ * The default way to get the items, cursor, and total from the data of a
+ * page. The data can be the array of items, or an object with items, and
+ * optionally cursor and total. Anything else is treated as an empty page
+ *
+ * @name parse
+ * @access private
+ * @param mixed data			The data returned by the service
+ * @return Object
+ */
+function parse(data) {
+	if(Array.isArray(data)) {
+		return {items: data, cursor: null, total: null};
+	}
+	if(!data || typeof data !== 'object') {
+		return {items: [], cursor: null, total: null};
+	}
+	return {
+		items: data.items || [],
+		cursor: 'cursor' in data ? data.cursor : null,
+		total: 'total' in data ? data.total : null
+	};
+}
+
+/**
+ * Rest Pager
+ *
+ * The "load more" controller for a paginated service noun. Call next() for
+ * each new page, or iterate over it with for await to get every page
+ *
+ * @name RestPager
+ * @access public
+ */
+export class RestPager {
+
+	/**
+	 * Constructor
+	 *
+	 * Initialises the instance data
+	 *
+	 * @name RestPager
+	 * @access public
+	 * @param RestClient client		The client to read with
+	 * @param string service		The name of the service to read from
+	 * @param string noun			The noun to read
+	 * @param object data			The data to send with every page
+	 * @param object opts			Optional settings, any not listed are passed
+	 *								to each read
+	 *									key: the name of the field, or a function
+	 *										returning the value, that uniquely
+	 *										identifies an item, used to drop
+	 *										items already read
+	 *									keys: the names of the cursor, limit,
+	 *										and offset fields sent to the service
+	 *									limit: the number of items per page,
+	 *										defaults to 20
+	 *									parse: function passed the data of a
+	 *										page that returns its items, and the
+	 *										cursor and total if there are any
+	 *									style: 'offset' or 'cursor', defaults to
+	 *										'offset'
+	 * @return RestPager
+	 */
+	constructor(client, service, noun, data={}, opts={}) {
+
+		// Pull out our settings from the read options
+		let { key, keys, limit, parse: fParse, style, ...oRead } = opts;
+
+		// Store the request
+		this._client = client;
+		this._service = service;
+		this._noun = noun;
+		this._data = data;
+		this._read = oRead;
+
+		// Store the settings
+		this._conf = {
+			key: typeof key === 'string' ? (o => o[key]) : (key || null),
+			keys: {cursor: 'cursor', limit: 'limit', offset: 'offset', ...keys},
+			limit: limit || 20,
+			parse: fParse || parse,
+			style: style || 'offset'
+		};
+
+		// The controller for the page being read
+		this._controller = null;
+
+		// Incremented on every reset so older pages are ignored
+		this._generation = 0;
+
+		// The page being read
+		this._promise = null;
+
+		// Callbacks for state changes
+		this._subscribers = [];
+
+		// Init the state
+		this._clear();
+	}
+
+	/**
+	 * Async Iterator
+	 *
+	 * Yields the items of each page, starting from wherever the pager is, until
+	 * there are no more. Throws the RestError if a page fails
+	 *
+	 * @name [Symbol.asyncIterator]
+	 * @access public
+	 * @return AsyncGenerator
+	 */
+	async *[Symbol.asyncIterator]() {
+		while(this.more) {
+			let iCount = this.items.length;
+			let res = await this.next().catch(res => res);
+			if(res.error) {
+				res._handled = true;
+				throw res.error;
+			}
+			yield this.items.slice(iCount);
+		}
+	}
+
+	/**
+	 * Clear
+	 *
+	 * Resets the state back to before the first page
+	 *
+	 * @name _clear
+	 * @access private
+	 * @return void
+	 */
+	_clear() {
+		this._cursor = null;
+		this._keys = new Set();
+		this._offset = 0;
+		this.error = null;
+		this.items = [];
+		this.loading = false;
+		this.more = true;
+		this.refreshing = false;
+		this.total = null;
+	}
+
+	/**
+	 * Done
+	 *
+	 * Called once the page being read is finished
+	 *
+	 * @name _done
+	 * @access private
+	 * @return void
+	 */
+	_done() {
+		this._controller = null;
+		this._promise = null;
+		this.loading = false;
+		this.refreshing = false;
+		this._notify();
+	}
+
+	/**
+	 * Failed
+	 *
+	 * Stores the error for the page. If we were refreshing, the old items no
+	 * longer match the offset or cursor, so they are dropped
+	 *
+	 * @name _failed
+	 * @access private
+	 * @param RestError error		The error
+	 * @return void
+	 */
+	_failed(error) {
+		this.error = error;
+		if(this.refreshing) {
+			this.items = [];
+		}
+	}
+
+	/**
+	 * Next
+	 *
+	 * Reads the next page and adds its items. If a page is already being read,
+	 * returns the same promise. Resolves with the result of the read
+	 *
+	 * @name next
+	 * @access public
+	 * @return Promise
+	 */
+	next() {
+
+		// If we're already reading, or there's nothing left
+		if(this._promise) {
+			return this._promise;
+		}
+		if(!this.more) {
+			return Promise.resolve({_handled: false, data: []});
+		}
+
+		// Generate the data for the page
+		let oKeys = this._conf.keys;
+		let oData = {...this._data, [oKeys.limit]: this._conf.limit};
+		if(this._conf.style === 'cursor') {
+			if(this._cursor !== null) {
+				oData[oKeys.cursor] = this._cursor;
+			}
+		} else {
+			oData[oKeys.offset] = this._offset;
+		}
+
+		// Mark us as loading, clearing any previous error
+		this.error = null;
+		this.loading = true;
+		this._notify();
+
+		// Create a controller so reset can cancel the read
+		let iGeneration = this._generation;
+		this._controller = new AbortController();
+
+		// Called to check if the page is still wanted
+		let fCurrent = () => iGeneration === this._generation;
+
+		// Read the page
+		this._promise = this._client.read(this._service, this._noun, oData, {
+			...this._read,
+			signal: this._controller.signal
+		}).then(res => {
+
+			// If we were reset, ignore it
+			if(!fCurrent()) {
+				return res;
+			}
+
+			// If we got an error, store it
+			if(res.error) {
+				this._failed(res.error);
+			}
+
+			// Else, add the page, and if it can't be read, fail with why
+			else {
+				try {
+					this._page(res.data);
+				} catch(error) {
+					console.error('RestPager failed to read the page:', error);
+					res = {
+						_handled: false,
+						error: new RestError(ERROR_NOT_OK, error.message, {
+							method: 'GET',
+							service: this._service,
+							noun: this._noun,
+							cause: error
+						})
+					};
+					this._failed(res.error);
+				}
+			}
+
+			// Return the result
+			this._done();
+			return res;
+
+		}, res => {
+
+			// If we weren't reset, store the error
+			if(fCurrent()) {
+				this._failed(res.error);
+				this._done();
+			}
+
+			// Pass it along
+			return Promise.reject(res);
+		});
+
+		// Return the read
+		return this._promise;
+	}
+
+	/**
+	 * Notify
+	 *
+	 * Passes the state to all subscribers
+	 *
+	 * @name _notify
+	 * @access private
+	 * @return void
+	 */
+	_notify() {
+		let oState = this.state();
+		for(let f of [...this._subscribers]) {
+			f(oState);
+		}
+	}
+
+	/**
+	 * Page
+	 *
+	 * Adds the items from the page and figures out if there's more
+	 *
+	 * @name _page
+	 * @access private
+	 * @param mixed data			The data returned by the service
+	 * @return void
+	 */
+	_page(data) {
+
+		// If we were refreshing, the page replaces the old items
+		if(this.refreshing) {
+			this.items = [];
+		}
+
+		// Parse the data
+		let oPage = this._conf.parse(data);
+		if(oPage.total !== null && typeof oPage.total !== 'undefined') {
+			this.total = oPage.total;
+		}
+
+		// Add the items we don't already have
+		let lNew = oPage.items;
+		if(this._conf.key) {
+			lNew = lNew.filter(o => {
+				let mKey = this._conf.key(o);
+				if(this._keys.has(mKey)) {
+					return false;
+				}
+				this._keys.add(mKey);
+				return true;
+			});
+		}
+		this.items = [...this.items, ...lNew];
+
+		// If we're using cursors, there's more as long as the service gave us
+		//	a new one
+		if(this._conf.style === 'cursor') {
+			this._cursor = oPage.cursor;
+			this.more = oPage.cursor !== null && typeof oPage.cursor !== 'undefined';
+		}
+
+		// Else, move the offset, and if we know the total use it, else assume
+		//	a short page is the last one
+		else {
+			this._offset += oPage.items.length;
+			this.more = this.total !== null ?
+							this._offset < this.total :
+							oPage.items.length >= this._conf.limit;
+		}
+	}
+
+	/**
+	 * Refresh
+	 *
+	 * Starts over from the first page, keeping the current items until it
+	 * arrives
+	 *
+	 * @name refresh
+	 * @access public
+	 * @return Promise
+	 */
+	refresh() {
+
+		// Cancel anything in progress, and start over, but keep the items
+		//	until the first page replaces them
+		let lItems = this.items;
+		this._stop();
+		this._clear();
+		this.items = lItems;
+		this.refreshing = true;
+
+		// Read the first page
+		return this.next();
+	}
+
+	/**
+	 * Reset
+	 *
+	 * Cancels any page being read and clears all the items
+	 *
+	 * @name reset
+	 * @access public
+	 * @return void
+	 */
+	reset() {
+		this._stop();
+		this._clear();
+		this._notify();
+	}
+
+	/**
+	 * State
+	 *
+	 * Returns the current state
+	 *
+	 * @name state
+	 * @access public
+	 * @return {{error, items, loading, more, refreshing, total}}
+	 */
+	state() {
+		return {
+			error: this.error,
+			items: this.items,
+			loading: this.loading,
+			more: this.more,
+			refreshing: this.refreshing,
+			total: this.total
+		};
+	}
+
+	/**
+	 * Stop
+	 *
+	 * Cancels any page being read and ignores its result
+	 *
+	 * @name _stop
+	 * @access private
+	 * @return void
+	 */
+	_stop() {
+		++this._generation;
+		if(this._controller) {
+			this._controller.abort();
+		}
+		this._controller = null;
+		this._promise = null;
+	}
+
+	/**
+	 * Subscribe
+	 *
+	 * Adds a callback that is passed the state every time it changes
+	 *
+	 * @name subscribe
+	 * @access public
+	 * @param function callback		The callback
+	 * @return function				Call to unsubscribe
+	 */
+	subscribe(callback) {
+		this._subscribers.push(callback);
+		return () => {
+			let i = this._subscribers.indexOf(callback);
+			if(i > -1) {
+				this._subscribers.splice(i, 1);
+			}
+		}
+	}
+}
+
+// Default export
+export default RestPager;
@@ -0,0 +1,338 @@
+/**
+ * Rest Recorder
+ *
+ * Records the responses to rest requests so they can be saved as fixtures,
+ * and replays fixtures in place of the services, so the app can be run
+ * against a frozen set of data with no server
+ *
+ * @author Chris Nasr <chris@ouroboroscoding.com>
+ * @copyright Ouroboros Coding Inc.
+ * @created 2026-10-19
+ */
+
+// NPM imports
+import { clone } from '@ouroboros/tools';
+
+// Local imports
+import { ERROR_UNMATCHED, RestError } from './restclient.js';
+
+// The version of the fixtures format
+const VERSION = 1;
+
+/**
+ * Same
+ *
+ * Returns true if the two values are equal, comparing objects and arrays by
+ * their contents, regardless of the order of keys
+ *
+ * @name same
+ * @access private
+ * @param mixed a				The first value
+ * @param mixed b				The second value
+ * @return bool
+ */
+function same(a, b) {
+
+	// If they're the same, or either isn't an object
+	if(a === b) {
+		return true;
+	}
+	if(a === null || b === null ||
+		typeof a !== 'object' || typeof b !== 'object' ||
+		Array.isArray(a) !== Array.isArray(b)) {
+		return false;
+	}
+
+	// Compare the keys and then each value
+	let lA = Object.keys(a);
+	let lB = Object.keys(b);
+	if(lA.length !== lB.length) {
+		return false;
+	}
+	return lA.every(k => k in b && same(a[k], b[k]));
+}
+
+/**
+ * Rest Recorder
+ *
+ * Holds the fixtures being recorded or replayed. Recording and replaying are
+ * done by adding the middleware from record() or replay() to a client
+ *
+ * @name RestRecorder
+ * @access public
+ */
+export class RestRecorder {
+
+	/**
+	 * Constructor
+	 *
+	 * Initialises the instance data
+	 *
+	 * @name RestRecorder
+	 * @access public
+	 * @param Object fixtures		Optional, fixtures previously returned by
+	 *								fixtures(), to replay
+	 * @param Object rules			Optional rules for matching requests to
+	 *								fixtures, with any of the following
+	 *									method, service, noun: false to ignore
+	 *										it, or a function passed the recorded
+	 *										and the requested values that returns
+	 *										true if they match
+	 *									data: the same as the others, or a list
+	 *										of the only fields to compare
+	 * @return RestRecorder
+	 */
+	constructor(fixtures=null, rules={}) {
+
+		// The recorded requests and their results
+		this._requests = [];
+
+		// The number of times each request has been replayed
+		this._replayed = [];
+
+		// The matching rules
+		this._rules = {
+			data: true,
+			method: true,
+			noun: true,
+			service: true,
+			...rules
+		};
+
+		// If we got fixtures, load them
+		if(fixtures) {
+			this.load(fixtures);
+		}
+	}
+
+	/**
+	 * Clear
+	 *
+	 * Removes all recorded requests
+	 *
+	 * @name clear
+	 * @access public
+	 * @return void
+	 */
+	clear() {
+		this._requests = [];
+		this._replayed = [];
+	}
+
+	/**
+	 * Fixtures
+	 *
+	 * Returns everything recorded in a form that can be saved as JSON and
+	 * loaded again later
+	 *
+	 * @name fixtures
+	 * @access public
+	 * @return Object
+	 */
+	fixtures() {
+		return {
+			version: VERSION,
+			requests: clone(this._requests)
+		};
+	}
+
+	/**
+	 * Load
+	 *
+	 * Replaces the recorded requests with those in the fixtures
+	 *
+	 * @name load
+	 * @access public
+	 * @param Object fixtures		The fixtures, as returned by fixtures()
+	 * @return void
+	 */
+	load(fixtures) {
+
+		// Make sure we can read them
+		if(!fixtures || fixtures.version !== VERSION ||
+			!Array.isArray(fixtures.requests)) {
+			throw new Error('RestRecorder fixtures must be an object from fixtures(), version ' + VERSION);
+		}
+
+		// Store them
+		this._requests = clone(fixtures.requests);
+		this._replayed = this._requests.map(() => 0);
+	}
+
+	/**
+	 * Match
+	 *
+	 * Returns the index of the recorded request to replay for the request, or
+	 * -1 if there isn't one. When more than one matches, each is replayed in
+	 * the order they were recorded, with the last repeating
+	 *
+	 * @name _match
+	 * @access private
+	 * @param Object req			The request, see RestClient.use
+	 * @return int
+	 */
+	_match(req) {
+
+		// Called to check one part of the request against the rule for it
+		let fCheck = (k, recorded, requested) => {
+			let mRule = this._rules[k];
+			if(mRule === false) {
+				return true;
+			}
+			if(typeof mRule === 'function') {
+				return mRule(recorded, requested);
+			}
+			if(Array.isArray(mRule)) {
+				return mRule.every(f =>
+					same((recorded || {})[f], (requested || {})[f])
+				);
+			}
+			return same(recorded, requested);
+		}
+
+		// Find all the matching requests
+		let lMatches = [];
+		this._requests.forEach((o, i) => {
+			if(fCheck('method', o.method, req.method) &&
+				fCheck('service', o.service, req.service) &&
+				fCheck('noun', o.noun, req.noun) &&
+				fCheck('data', o.data, req.data)) {
+				lMatches.push(i);
+			}
+		});
+
+		// If there's none
+		if(!lMatches.length) {
+			return -1;
+		}
+
+		// Return the first that hasn't been replayed, else the last
+		let i = lMatches.find(i => !this._replayed[i]);
+		return typeof i === 'undefined' ? lMatches[lMatches.length - 1] : i;
+	}
+
+	/**
+	 * Record
+	 *
+	 * Returns middleware that records the result of every request that
+	 * reaches a service. Add it to a client with use()
+	 *
+	 * @name record
+	 * @access public
+	 * @return function
+	 */
+	record() {
+		return (req, next) => next(req).then(res => {
+
+			// Store the request and the result, without any local flags, and
+			//	with only the parts of the error that came from the service
+			let oResult = {};
+			for(let k in res) {
+				if(k[0] !== '_') {
+					oResult[k] = res[k];
+				}
+			}
+			if(res.error) {
+				oResult.error = {code: res.error.code};
+				if('msg' in res.error) {
+					oResult.error.msg = res.error.msg;
+				}
+				if(res.error.status) {
+					oResult.error.status = res.error.status;
+				}
+			}
+			this._requests.push(clone({
+				method: req.method,
+				service: req.service,
+				noun: req.noun,
+				data: req.data,
+				result: oResult
+			}));
+			this._replayed.push(0);
+
+			// Return the result as is
+			return res;
+		});
+	}
+
+	/**
+	 * Replay
+	 *
+	 * Returns middleware that answers every request with the matching
+	 * recorded result instead of sending it, even when there's no connection.
+	 * Requests without one get an ERROR_UNMATCHED error, or are sent as usual,
+	 * offline queue included, if passthrough is set. Add it to a client with
+	 * use()
+	 *
+	 * @name replay
+	 * @access public
+	 * @param Object opts			Optional settings
+	 *									passthrough: true to send unmatched
+	 *										requests to the service
+	 * @return function
+	 */
+	replay(opts={}) {
+
+		// The middleware
+		let fReplay = (req, next) => {
+
+			// Find the recorded request
+			let i = this._match(req);
+
+			// If there isn't one
+			if(i === -1) {
+
+				// If we can, send it
+				if(opts.passthrough) {
+					return next(req);
+				}
+
+				// Let the developer know what was missing
+				let sRequest = req.method + ' ' + req.service + '/' + req.noun;
+				console.error('RestRecorder has no recording for ' + sRequest + ':', req.data);
+
+				// Return the error
+				return Promise.resolve({
+					_handled: false,
+					error: new RestError(
+						ERROR_UNMATCHED,
+						'No recording for ' + sRequest,
+						{method: req.method, service: req.service, noun: req.noun, url: req.url}
+					)
+				});
+			}
+
+			// Mark it as replayed and get a copy of the result
+			++this._replayed[i];
+			let oResult = clone(this._requests[i].result);
+
+			// If it's an error, make it a RestError
+			if(oResult.error) {
+				oResult.error = new RestError(
+					oResult.error.code, oResult.error.msg, {
+						method: req.method,
+						service: req.service,
+						noun: req.noun,
+						status: oResult.error.status,
+						url: req.url
+					}
+				);
+			}
+
+			// Return the result
+			oResult._handled = false;
+			return Promise.resolve(oResult);
+		}
+
+		// Let the client know which requests we answer, so they're never
+		//	stopped for being offline
+		fReplay.handles = req =>
+			!opts.passthrough || this._match(req) !== -1;
+
+		// Return the middleware
+		return fReplay;
+	}
+}
+
+// Default export
+export default RestRecorder;
@@ -0,0 +1,39 @@
+/**
+ * Secure Store
+ *
+ * Storage that works like AsyncStorage but keeps the values in the platform
+ * keychain / keystore through expo-secure-store. Pass it to rest.init as
+ * secure_storage to keep the session out of plain storage. Values are limited
+ * to around 2048 bytes, so it's not meant for anything that can grow
+ *
+ * @author Chris Nasr <chris@ouroboroscoding.com>
+ * @copyright Ouroboros Coding Inc.
+ * @created 2026-10-19
+ */
+
+// NPM imports
+import * as SecureStore from 'expo-secure-store';
+
+/**
+ * Key
+ *
+ * Returns the key with any characters secure store doesn't allow replaced
+ *
+ * @name key
+ * @access private
+ * @param string k				The key
+ * @return string
+ */
+function key(k) {
+	return k.replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+// The storage
+export const secureStore = {
+	getItem: k => SecureStore.getItemAsync(key(k)),
+	removeItem: k => SecureStore.deleteItemAsync(key(k)),
+	setItem: (k, v) => SecureStore.setItemAsync(key(k), v)
+};
+
+// Default export
+export default secureStore;
@@ -12,6 +12,8 @@
 // NPM imports
 import events from '@ouroboros/events';
 import { empty, omap } from '@ouroboros/tools';
+import NetInfo from '@react-native-community/netinfo';
+import { AppState } from 'react-native';
 
 // Local imports
 import rest from './rest.js';
@@ -20,9 +22,55 @@ import wshelper from './wshelper.js';
 // Set to true to output debug info
 const __debug = false;
 
+// The valid background policies
+const BACKGROUND = ['disconnect', 'idle', 'keep'];
+
+// Whether the app is in the foreground
+let __active = true;
+
+// The number of reconnect attempts since the last successful connection
+let __attempts = 0;
+
+// What to do when the app goes to the background
+let __background = 'idle';
+
+// The reconnect backoff settings
+let __backoff = {
+	delay: 1000,
+	factor: 2,
+	jitter: 0.5,
+	max: 60000
+};
+
+// Incremented every time a new socket is requested, so older requests can be
+//	ignored
+let __opening = 0;
+
+// The app state and network listeners, once added
+let __listeners = null;
+
+// Whether the network is connected
+let __online = true;
+
+// The heartbeat settings
+let __heartbeat = {
+	interval: 300000,
+	timeout: 10000
+};
+
 // The ping timer
 let __ping = null;
 
+// The timer for the pong we're waiting on
+let __pong = null;
+
+// The reconnect timer
+let __reconnect = null;
+
+// The connection state, and the callbacks for when it changes
+let __state = 'idle';
+let __stateCallbacks = [];
+
 // The valid close flag
 let __close = true;
 
@@ -35,6 +83,16 @@ let __socket = null;
 // The URL to get the websocket
 let __url = '';
 
+// The last sequence number received for each service / key, e.g.
+//	{"service1": {"key1": 12}}
+let __last = {};
+
+// The resync callbacks for each service / key, by their track callback
+let __resync = {};
+
+// The regular expressions for pattern keys, by pattern
+let __patterns = new Map();
+
 /**
  * The service callbacks
  *
@@ -61,9 +119,11 @@ let __services = {};
  * @param {string} service The name of the service the key is associated with
  * @param {string} key The key to track
  * @param {function} callback The callback for any messages of the key value
+ * @param {function} resync Optional callback for when missed messages can't
+ * 		be recovered
  * @returns {void}
  */
-function _addTrack(service, key, callback) {
+function _addTrack(service, key, callback, resync=null) {
 
 	if(__debug) {
 		console.log(`_addTrack(${service}, ${key})`);
@@ -84,6 +144,66 @@ function _addTrack(service, key, callback) {
 	else {
 		__services[service][key].push(callback);
 	}
+
+	// If we have a resync callback, store it with the callback
+	if(resync) {
+		if(!(service in __resync)) {
+			__resync[service] = {};
+		}
+		if(!(key in __resync[service])) {
+			__resync[service][key] = new Map();
+		}
+		__resync[service][key].set(callback, resync);
+	}
+}
+
+/**
+ * App Change
+ *
+ * Called when the app moves between the foreground and the background
+ *
+ * @name _appChange
+ * @access private
+ * @param {string} state The new AppState
+ * @returns {void}
+ */
+function _appChange(state) {
+
+	if(__debug) {
+		console.log(`_appChange(${state})`);
+	}
+
+	// If nothing changed, or we don't care, do nothing. Only the background
+	//	counts, inactive is brief, e.g. while a system dialog is showing
+	let bActive = state !== 'background';
+	if(bActive === __active) {
+		return;
+	}
+	__active = bActive;
+	if(__background === 'keep') {
+		return;
+	}
+
+	// If we're back, make sure the socket is working, else pause it
+	if(__active) {
+		_resume();
+	} else {
+		_pause();
+	}
+}
+
+/**
+ * Can Connect
+ *
+ * Returns true if we should try to connect, i.e. the network is up, and the
+ * app is in the foreground, or allowed to stay connected in the background
+ *
+ * @name _canConnect
+ * @access private
+ * @returns {boolean}
+ */
+function _canConnect() {
+	return __online && (__active || __background === 'keep');
 }
 
 /**
@@ -94,28 +214,33 @@ function _addTrack(service, key, callback) {
  *
  * @name _handleClose
  * @access private
+ * @param {WebSocket} sock The socket that closed
  * @returns {void}
  */
-function _handleClose() {
+function _handleClose(sock) {
 
 	if(__debug) {
 		console.log(`_handleClose()`);
 	}
 
-	// If we have a ping interval
-	if(__ping) {
-		clearInterval(__ping);
+	// If it's not the current socket, e.g. one replaced by reconnect, there's
+	//	nothing to do
+	if(sock !== __socket) {
+		return;
 	}
 
+	// Stop the heartbeat
+	_pingStop();
+
 	// If it's a valid close
 	if(__close) {
 		__socket = null;
+		_setState('closed');
 	}
 
-	// Else, wait 5 seconds, and reopen the socket
+	// Else, wait, and reopen the socket
 	else {
-		__close = true;
-		setTimeout(_openSocket, 5000);
+		_reconnectLater();
 	}
 }
 
@@ -137,6 +262,11 @@ function _handleMessage(sock, ev) {
 		console.log(`_handleMessage(sock, ${ev.data})`);
 	}
 
+	// If it's not the current socket, ignore it
+	if(sock !== __socket) {
+		return;
+	}
+
 	// Init the message
 	let oMsg;
 
@@ -146,13 +276,19 @@ function _handleMessage(sock, ev) {
 		// If we're authorized
 		if(ev.data === 'authorized') {
 
-			// Reset the close flag
+			// Reset the close flag and the reconnect attempts
 			__close = false;
+			__attempts = 0;
+			_setState('connected');
 			return;
 		}
 
-		// If it's pong
+		// If it's pong, the socket is still alive
 		if(ev.data === 'pong') {
+			if(__pong) {
+				clearTimeout(__pong);
+				__pong = null;
+			}
 			return;
 		}
 
@@ -171,20 +307,122 @@ function _handleMessage(sock, ev) {
 		return;
 	}
 
+	// If the backend couldn't send us what we missed
+	if(oMsg._type === 'resync') {
+		_resync(oMsg);
+		return;
+	}
+
+	// If the message has a sequence number
+	if(typeof oMsg.seq === 'number') {
+
+		// If we've already seen it, drop it
+		let iLast = __last[oMsg.service] && __last[oMsg.service][oMsg.key];
+		if(typeof iLast === 'number' && oMsg.seq <= iLast) {
+			if(__debug) {
+				console.log(`   duplicate ${oMsg.service}/${oMsg.key} ${oMsg.seq}`);
+			}
+			return;
+		}
+
+		// Store it as the last one seen
+		if(!(oMsg.service in __last)) {
+			__last[oMsg.service] = {};
+		}
+		__last[oMsg.service][oMsg.key] = oMsg.seq;
+	}
+
 	// If we have the service
 	if(oMsg.service in __services) {
 
-		// If we have the key
-		if(oMsg.key in __services[oMsg.service]) {
+		// Go through each key tracked, and if it's the key, or a pattern that
+		//	matches it
+		for(let k in __services[oMsg.service]) {
+			if(k === oMsg.key || _matches(k, oMsg.key)) {
 
-			// Call each callback
-			for(let f of __services[oMsg.service][oMsg.key]) {
-				f(oMsg.data);
+				// Call each callback
+				for(let f of [...__services[oMsg.service][k]]) {
+					f(oMsg.data, oMsg.key);
+				}
 			}
 		}
 	}
 }
 
+/**
+ * Matches
+ *
+ * Returns true if the key is a pattern, i.e. it contains a *, and the other
+ * key matches it. Each * matches any number of characters, so 'order.*'
+ * matches 'order.1' and 'order.1.items', and '*' matches every key
+ *
+ * @name _matches
+ * @access private
+ * @param {string} pattern The tracked key
+ * @param {string} key The key of the message
+ * @returns {boolean}
+ */
+function _matches(pattern, key) {
+
+	// If it's not a pattern, it can't match
+	if(!pattern.includes('*')) {
+		return false;
+	}
+
+	// Get the regular expression for the pattern, creating it if we don't
+	//	already have it
+	let oRE = __patterns.get(pattern);
+	if(!oRE) {
+		oRE = new RegExp('^' + pattern.split('*').map(s =>
+			s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+		).join('.*') + '$');
+		__patterns.set(pattern, oRE);
+	}
+
+	// Return if it matches
+	return oRE.test(key);
+}
+
+/**
+ * Network Change
+ *
+ * Called when the network connects or disconnects
+ *
+ * @name _netChange
+ * @access private
+ * @param {Object} state The NetInfo state
+ * @returns {void}
+ */
+function _netChange(state) {
+
+	if(__debug) {
+		console.log(`_netChange(${state.isConnected})`);
+	}
+
+	// If nothing changed, do nothing
+	let bOnline = state.isConnected !== false;
+	if(bOnline === __online) {
+		return;
+	}
+	__online = bOnline;
+
+	// If we're back online, reconnect right away if we can
+	if(__online) {
+		if(_canConnect()) {
+			_resume();
+		}
+	}
+
+	// Else, stop any reconnect and pinging, neither can work until we're back
+	else {
+		if(__reconnect) {
+			clearTimeout(__reconnect);
+			__reconnect = null;
+		}
+		_pingStop();
+	}
+}
+
 /**
  * Open Socket
  *
@@ -198,6 +436,11 @@ function _handleMessage(sock, ev) {
  */
 function _openSocket() {
 
+	// We want the socket open
+	__close = false;
+	let iOpening = ++__opening;
+	_setState('connecting');
+
 	// Notify the backend of a new ws connection
 	rest.read('webpoll', 'websocket', {}).then(res => {
 
@@ -205,11 +448,34 @@ function _openSocket() {
 			console.log(`   response: ${JSON.stringify(res)}`);
 		}
 
+		// If another socket was requested in the meantime, ignore this one
+		if(iOpening !== __opening) {
+			return;
+		}
+
+		// If we were closed in the meantime
+		if(__close) {
+			__socket = null;
+			_setState('closed');
+			return;
+		}
+
+		// If the backend didn't give us a key, try again later
+		if(res.error) {
+			res._handled = true;
+			events.trigger('error', 'twoway: webpoll failed: ' + rest.errorMessage(res.error));
+			_reconnectLater();
+			return;
+		}
+
 		// Create the websocket
 		__socket = wshelper(__url, {
 			headers: {cookie: __cookie},
 			open: function(sock) {
 
+				// Wait for the backend to authorize us
+				_setState('authorizing');
+
 				// Init the message list
 				let lMsgs = [];
 
@@ -219,14 +485,11 @@ function _openSocket() {
 					key: res.data
 				});
 
-				// Add each track message
+				// Add each track message, with where we left off so the
+				//	backend can send anything we missed
 				for(let s in __services) {
 					for(let k in __services[s]) {
-						lMsgs.push({
-							_type: 'track',
-							service: s,
-							key: k
-						});
+						lMsgs.push(_trackMessage(s, k));
 					}
 				}
 
@@ -240,20 +503,65 @@ function _openSocket() {
 		// If we got false
 		if(__socket === false) {
 			events.trigger('error', 'twoway: Websockets not supported');
+			__socket = null;
+			_setState('closed');
 			return;
 		}
 
 		// If we haven't already setup the ping interval
-		if(__ping === null) {
-			__ping = setInterval(_ping, 300000);
+		_pingStart();
+
+	}, res => {
+
+		// If this is still the socket we want, and we still want it, try
+		//	again later
+		if(iOpening === __opening && !__close) {
+			res._handled = true;
+			_reconnectLater();
 		}
 	});
 }
 
+/**
+ * Pause
+ *
+ * Called when the app goes to the background, closes the socket, or stops
+ * pinging it, depending on the background policy
+ *
+ * @name _pause
+ * @access private
+ * @returns {void}
+ */
+function _pause() {
+
+	// Stop any reconnect and the heartbeat
+	if(__reconnect) {
+		clearTimeout(__reconnect);
+		__reconnect = null;
+	}
+	_pingStop();
+
+	// If we only idle, leave the socket as is
+	if(__background === 'idle') {
+		return;
+	}
+
+	// Close the socket without reconnecting, it will be reopened when the app
+	//	comes back
+	__close = true;
+	if(__socket) {
+		__socket.close(1000, 'app in background');
+	} else if(__socket === false) {
+		__socket = null;
+		_setState('closed');
+	}
+}
+
 /**
  * Ping
  *
- * Send a ping to keep the socket alive
+ * Send a ping to keep the socket alive, and if the pong doesn't come back in
+ * time, consider the socket dead and reconnect
  *
  * @name _ping
  * @access private
@@ -265,10 +573,269 @@ function _ping() {
 		console.log(`_ping()`);
 	}
 
+	// If the socket isn't open, there's nothing to ping
+	if(!__socket || __socket.readyState !== 1) {
+		return;
+	}
+
 	// Send a ping message over the socket to keep it alive
 	__socket.send(JSON.stringify({
 		_type: 'ping'
 	}));
+
+	// If we aren't already waiting on a pong, start waiting
+	if(__pong === null && __heartbeat.timeout) {
+		__pong = setTimeout(() => {
+			__pong = null;
+			events.trigger('error', 'twoway: no pong after ' + __heartbeat.timeout + 'ms, reconnecting');
+			reconnect();
+		}, __heartbeat.timeout);
+	}
+}
+
+/**
+ * Ping Start
+ *
+ * Starts the ping interval if it isn't already running
+ *
+ * @name _pingStart
+ * @access private
+ * @returns {void}
+ */
+function _pingStart() {
+	if(__ping === null) {
+		__ping = setInterval(_ping, __heartbeat.interval);
+	}
+}
+
+/**
+ * Ping Stop
+ *
+ * Stops the ping interval and stops waiting on any pong
+ *
+ * @name _pingStop
+ * @access private
+ * @returns {void}
+ */
+function _pingStop() {
+	if(__ping) {
+		clearInterval(__ping);
+		__ping = null;
+	}
+	if(__pong) {
+		clearTimeout(__pong);
+		__pong = null;
+	}
+}
+
+/**
+ * Reconnect Later
+ *
+ * Waits for longer after each failed attempt, up to the max, and then opens
+ * a new socket
+ *
+ * @name _reconnectLater
+ * @access private
+ * @returns {void}
+ */
+function _reconnectLater() {
+
+	// Mark the socket as opening so track doesn't open another
+	__socket = false;
+	_setState('reconnecting');
+
+	// If we can't connect right now, wait until we can
+	if(!_canConnect()) {
+		if(__debug) {
+			console.log(`_reconnectLater() waiting for the network / app`);
+		}
+		return;
+	}
+
+	// Calculate the exponential delay, capped at the max, then randomise part
+	//	of it so every client doesn't reconnect at the same moment
+	let iDelay = Math.min(
+		__backoff.delay * Math.pow(__backoff.factor, __attempts),
+		__backoff.max
+	);
+	iDelay -= Math.random() * iDelay * __backoff.jitter;
+	++__attempts;
+
+	if(__debug) {
+		console.log(`_reconnectLater() in ${Math.round(iDelay)}ms`);
+	}
+
+	// Wait, then reopen the socket
+	__reconnect = setTimeout(() => {
+		__reconnect = null;
+		_openSocket();
+	}, iDelay);
+}
+
+/**
+ * Resync
+ *
+ * Called when the backend can't send the messages missed while we were
+ * disconnected. Starts the sequence over and lets the callbacks for the
+ * service / key, and any pattern matching it, know they need to fetch the
+ * data again
+ *
+ * @name _resync
+ * @access private
+ * @param {Object} msg The resync message, with service, key, and optionally
+ * 		the sequence number to continue from
+ * @returns {void}
+ */
+function _resync(msg) {
+
+	if(__debug) {
+		console.log(`_resync(${msg.service}, ${msg.key})`);
+	}
+
+	// Start the sequence over, and if it's for a whole pattern, forget
+	//	where we were in every key it matches
+	if(msg.service in __last) {
+		if(typeof msg.seq === 'number') {
+			__last[msg.service][msg.key] = msg.seq;
+		} else {
+			delete __last[msg.service][msg.key];
+		}
+		for(let k in __last[msg.service]) {
+			if(_matches(msg.key, k)) {
+				delete __last[msg.service][k];
+			}
+		}
+	}
+
+	// Notify the callbacks of the key, or any pattern that matches it, only
+	//	once each
+	if(msg.service in __resync) {
+		let lCallbacks = new Set();
+		for(let k in __resync[msg.service]) {
+			if(k === msg.key || _matches(k, msg.key)) {
+				for(let f of __resync[msg.service][k].values()) {
+					lCallbacks.add(f);
+				}
+			}
+		}
+		for(let f of lCallbacks) {
+			f(msg.service, msg.key);
+		}
+	}
+}
+
+/**
+ * Resume
+ *
+ * Called when the app comes back to the foreground, or the network returns.
+ * Checks an open socket is still alive, else opens a new one right away
+ *
+ * @name _resume
+ * @access private
+ * @returns {void}
+ */
+function _resume() {
+
+	// If there's nothing to track, there's nothing to connect for
+	if(empty(__services)) {
+		return;
+	}
+
+	// If we can't connect right now, e.g. the app came back while offline,
+	//	wait for the network to resume us
+	if(!_canConnect()) {
+		if(!__socket) {
+			__socket = false;
+			_setState('reconnecting');
+		}
+		return;
+	}
+
+	// If the socket is open, check it's still alive, and start the heartbeat
+	//	again
+	if(__socket && __socket.readyState === 1) {
+		_ping();
+		_pingStart();
+	}
+
+	// Else, connect right away
+	else {
+		reconnect();
+	}
+}
+
+/**
+ * Set State
+ *
+ * Stores the new connection state and notifies all subscribers if it
+ * changed
+ *
+ * @name _setState
+ * @access private
+ * @param {string} state The new state
+ * @returns {void}
+ */
+function _setState(state) {
+
+	// If nothing changed, do nothing
+	if(state === __state) {
+		return;
+	}
+
+	// Store the new state and notify
+	let sPrevious = __state;
+	__state = state;
+	for(let f of [...__stateCallbacks]) {
+		f(state, sPrevious);
+	}
+}
+
+/**
+ * Track Message
+ *
+ * Returns the message to track the service / key, including the last
+ * sequence number received for it, if there is one, as since. For patterns,
+ * since is an object of the last sequence number of each key matched
+ *
+ * @name _trackMessage
+ * @access private
+ * @param {string} service The name of the service the key is associated with
+ * @param {string} key The key to track
+ * @returns {Object}
+ */
+function _trackMessage(service, key) {
+
+	// Init the message
+	let oMsg = {
+		_type: 'track',
+		service: service,
+		key: key
+	};
+
+	// If it's a pattern, let the backend know, and send the last sequence
+	//	number of each key it matched
+	if(key.includes('*')) {
+		oMsg.pattern = true;
+		if(service in __last) {
+			let oSince = {};
+			for(let k in __last[service]) {
+				if(_matches(key, k)) {
+					oSince[k] = __last[service][k];
+				}
+			}
+			if(!empty(oSince)) {
+				oMsg.since = oSince;
+			}
+		}
+	}
+
+	// Else, send the last sequence number if there is one
+	else if(service in __last && key in __last[service]) {
+		oMsg.since = __last[service][key];
+	}
+
+	// Return the message
+	return oMsg;
 }
 
 /**
@@ -298,15 +865,135 @@ export function cookies(o) {
  * @name init
  * @access public
  * @param {string} url The URL to connect to
+ * @param {Object} opts Optional settings
+ * 		backoff: object with the delay in milliseconds before the first
+ * 			reconnect, the factor to multiply it by after each failed attempt,
+ * 			the max delay, and the jitter, the part of the delay to randomise
+ * 		heartbeat: object with the interval in milliseconds between pings,
+ * 			and the timeout in milliseconds to wait for the pong before the
+ * 			socket is considered dead, 0 to never time out
+ * 		background: what to do when the app goes to the background,
+ * 			'disconnect' to close the socket, 'idle' to stop pinging it, or
+ * 			'keep' to carry on as usual. Defaults to 'idle'. Unless it's
+ * 			'keep', the socket is checked, or reopened, as soon as the app
+ * 			returns
+ * 		network: set to false to not watch the network. By default
+ * 			reconnecting waits while offline, and happens right away when
+ * 			the network returns
  * @returns {void}
  */
-export function init(url) {
+export function init(url, opts={}) {
 
 	if(__debug) {
 		console.log(`init(${url})`);
 	}
 
 	__url = url;
+
+	// Store the backoff settings
+	if('backoff' in opts) {
+		__backoff = { ...__backoff, ...opts.backoff };
+	}
+
+	// Store the heartbeat settings
+	if('heartbeat' in opts) {
+		__heartbeat = { ...__heartbeat, ...opts.heartbeat };
+	}
+
+	// Store the background policy
+	if('background' in opts) {
+		if(BACKGROUND.includes(opts.background)) {
+			__background = opts.background;
+		} else {
+			console.error(`twoway.init 'background' must be one of ${BACKGROUND.join(', ')}`);
+		}
+	}
+
+	// If we haven't already, listen for the app state and network
+	if(__listeners === null) {
+		__listeners = {
+			app: AppState.addEventListener('change', _appChange),
+			network: opts.network === false ? null :
+						NetInfo.addEventListener(_netChange)
+		};
+		_appChange(AppState.currentState);
+	}
+}
+
+/**
+ * Reconnect
+ *
+ * Closes the current socket, if there is one, and opens a new one right
+ * away, skipping any wait for a reconnect
+ *
+ * @name reconnect
+ * @access public
+ * @returns {void}
+ */
+export function reconnect() {
+
+	if(__debug) {
+		console.log(`reconnect()`);
+	}
+
+	// Stop waiting for any reconnect, and start the attempts over
+	if(__reconnect) {
+		clearTimeout(__reconnect);
+		__reconnect = null;
+	}
+	__attempts = 0;
+
+	// If there's nothing to track, there's nothing to connect for
+	if(empty(__services)) {
+		return;
+	}
+
+	// If we have a socket, forget it, then close it
+	if(__socket) {
+		let oSock = __socket;
+		__socket = false;
+		_pingStop();
+		oSock.close(1000, 'reconnecting');
+	}
+
+	// Else, if we're already getting a new one, let it finish
+	else if(__state === 'connecting') {
+		return;
+	}
+
+	// Open a new socket
+	__socket = false;
+	_openSocket();
+}
+
+/**
+ * State
+ *
+ * Returns the current connection state, one of 'idle', 'connecting',
+ * 'authorizing', 'connected', 'reconnecting', or 'closed'
+ *
+ * @name state
+ * @access public
+ * @returns {string}
+ */
+export function state() {
+	return __state;
+}
+
+/**
+ * Subscribe
+ *
+ * Adds a callback passed the new and previous connection states every time
+ * it changes
+ *
+ * @name subscribe
+ * @access public
+ * @param {function} callback The callback
+ * @returns {function} Call to unsubscribe
+ */
+export function subscribe(callback) {
+	__stateCallbacks.push(callback);
+	return () => unsubscribe(callback);
 }
 
 /**
@@ -319,18 +1006,24 @@ export function init(url) {
  * @name track
  * @access public
  * @param {string} service The name of the service the key is associated with
- * @param {string} key The key to track
- * @param {function} callback The callback for any messages of the key value
+ * @param {string} key The key to track, or a pattern using * to match any
+ * 		characters, e.g. 'order.*', or '*' for every key in the service
+ * @param {function} callback The callback for any messages of the key value,
+ * 		passed the data and the key of the message
+ * @param {Object} opts Optional settings
+ * 		resync: callback passed the service and key when messages were missed
+ * 			while disconnected and the backend couldn't send them, so the data
+ * 			should be fetched again
  * @returns {void}
  */
-export function track(service, key, callback) {
+export function track(service, key, callback, opts={}) {
 
 	if(__debug) {
 		console.log(`track(${service}, ${key})`);
 	}
 
 	// Add the tracking callback
-	_addTrack(service, key, callback);
+	_addTrack(service, key, callback, opts.resync || null);
 
 	// If we have no socket
 	if(!__socket) {
@@ -341,8 +1034,17 @@ export function track(service, key, callback) {
 			// Set socket to false so we don't try to re-open
 			__socket = false;
 
-			// Open a new one
-			_openSocket();
+			// Open a new one, or if we can't right now, wait until we can
+			if(_canConnect()) {
+				_openSocket();
+			} else {
+				_setState('reconnecting');
+			}
+		}
+
+		// Else, one is being opened, make sure it still is
+		else {
+			__close = false;
 		}
 	}
 
@@ -350,11 +1052,7 @@ export function track(service, key, callback) {
 	else if(__socket.readyState === 1) {
 
 		// Send the tracking message through the websocket
-		__socket.send(JSON.stringify({
-			_type: 'track',
-			service: service,
-			key: key
-		}));
+		__socket.send(JSON.stringify(_trackMessage(service, key)));
 	}
 
 	// If we have no socket, or it's opening, then upon opening all services/
@@ -391,8 +1089,11 @@ export function untrack(service, key, callback) {
 				// If the callback matches
 				if(callback === __services[service][key][i]) {
 
-					// Remove the callback
+					// Remove the callback, and any resync callback with it
 					__services[service][key].splice(i, 1);
+					if(service in __resync && key in __resync[service]) {
+						__resync[service][key].delete(callback);
+					}
 
 					// If we have no more callbacks
 					if(__services[service][key].length === 0) {
@@ -402,28 +1103,49 @@ export function untrack(service, key, callback) {
 
 							// Notify the websocket we aren't tracking the key
 							//	anymore
-							__socket.send(JSON.stringify({
+							let oMsg = {
 								_type: 'untrack',
 								service: service,
 								key: key
-							}));
+							};
+							if(key.includes('*')) {
+								oMsg.pattern = true;
+							}
+							__socket.send(JSON.stringify(oMsg));
 						}
 
-						// Remove the key
+						// Remove the key, and forget where we were in it, and
+						//	in any keys only it matched, so a later pattern
+						//	doesn't send them as where it left off
 						delete __services[service][key];
+						if(service in __last) {
+							delete __last[service][key];
+							let lKeys = Object.keys(__services[service]);
+							for(let k in __last[service]) {
+								if(_matches(key, k) && !lKeys.some(p =>
+									p === k || _matches(p, k)
+								)) {
+									delete __last[service][k];
+								}
+							}
+						}
+						if(service in __resync) {
+							delete __resync[service][key];
+						}
 
 						// If we have no more keys in the service
 						if(empty(__services[service])) {
 
 							// Remove the service
 							delete __services[service];
+							delete __last[service];
+							delete __resync[service];
 
 							// If there's no more services
 							if(empty(__services)) {
 
-								// Turn off the ping interval
-								clearInterval(__ping);
-								__ping = null;
+								// Turn off the heartbeat
+								_pingStop();
 
 								// Close the socket
 								__close = true;
@@ -432,6 +1154,17 @@ export function untrack(service, key, callback) {
 								if(__socket) {
 									__socket.close(1000, 'nothing else to track');
 								}
+
+								// Else, we're waiting to reconnect, or for
+								//	the network / app to let us, so stop
+								else {
+									if(__reconnect) {
+										clearTimeout(__reconnect);
+										__reconnect = null;
+									}
+									__socket = null;
+									_setState('closed');
+								}
 							}
 						}
 					}
@@ -447,6 +1180,27 @@ export function untrack(service, key, callback) {
 	return false;
 }
 
+/**
+ * Unsubscribe
+ *
+ * Removes a callback added with subscribe
+ *
+ * @name unsubscribe
+ * @access public
+ * @param {function} callback The callback to remove
+ * @returns {boolean}
+ */
+export function unsubscribe(callback) {
+	let i = __stateCallbacks.indexOf(callback);
+	if(i > -1) {
+		__stateCallbacks.splice(i, 1);
+		return true;
+	}
+	return false;
+}
+
 // Default export
-const twoway = { cookies, init, track, untrack };
+const twoway = {
+	cookies, init, reconnect, state, subscribe, track, unsubscribe, untrack
+};
 export default twoway;